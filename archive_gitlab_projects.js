@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const { writeCsv } = require("./lib/csv");
+const { readReport, readNameList } = require("./lib/reports");
+const { extractFormat, loggerFor, writeOutput } = require("./lib/output");
+const {
+  ARCHIVE_RESULTS_HEADERS,
+  selectArchiveCandidates,
+  loadArchiveEvidence,
+  archiveGitlabProjects,
+} = require("./lib/archive");
+
+function parseArgs(argv) {
+  const options = { confirm: false, onlyFile: "", names: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--confirm") {
+      options.confirm = true;
+    } else if (arg === "--only-file") {
+      options.onlyFile = argv[i + 1] || "";
+      i += 1;
+    } else if (arg.startsWith("--only-file=")) {
+      options.onlyFile = arg.slice("--only-file=".length);
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option '${arg}'.`);
+    } else {
+      options.names.push(arg);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  loadEnv();
+  const config = resolveConfig();
+
+  let options;
+  let format;
+  try {
+    const extracted = extractFormat(process.argv.slice(2));
+    format = extracted.format;
+    options = parseArgs(extracted.args);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(
+      "Usage: node archive_gitlab_projects.js [--confirm] [--only-file <names.txt>] [--format csv|json|ndjson|table|markdown] [name ...]",
+    );
+    process.exit(1);
+  }
+  const logger = loggerFor(format);
+
+  const reportPath = config.archiveReportPath;
+  const resultsPath = config.archiveResultsPath;
+
+  if (options.confirm && !config.gitlabToken) {
+    console.error("GITLAB_TOKEN missing. Set it before running this script.");
+    process.exit(1);
+  }
+
+  const wanted = options.names.slice();
+  if (options.onlyFile) {
+    wanted.push(...readNameList(options.onlyFile));
+  }
+
+  logger.log(`Loading comparison report from ${reportPath}`);
+  const candidates = selectArchiveCandidates(
+    readReport(reportPath, "Comparison", "Run compare_github_gitlab.js first."),
+    wanted,
+  );
+  logger.log(`Found ${candidates.length} GitLab projects to consider.`);
+
+  const evidence = loadArchiveEvidence(
+    {
+      parity: config.shaParityReportPath,
+      github: config.githubReportPath,
+      gitlab: config.gitlabReportPath,
+    },
+    logger,
+  );
+  const { results, counts } = await archiveGitlabProjects(
+    candidates,
+    evidence,
+    {
+      confirm: options.confirm,
+      gitlabUrl: config.gitlabUrl,
+      gitlabToken: config.gitlabToken,
+      logger,
+    },
+  );
+
+  writeCsv(resultsPath, ARCHIVE_RESULTS_HEADERS, results);
+
+  if (format) {
+    logger.log(`Wrote archive results to ${resultsPath}`);
+    writeOutput(format, {
+      headers: ARCHIVE_RESULTS_HEADERS,
+      rows: results,
+      summary: {
+        confirm: options.confirm,
+        planned: counts.planned || 0,
+        archived: counts.archived || 0,
+        failed: counts.failed || 0,
+        skipped: counts.skipped || 0,
+      },
+    });
+    process.exitCode = counts.failed ? 1 : 0;
+    return;
+  }
+
+  console.log(`\nWrote archive results to ${resultsPath}`);
+  if (options.confirm) {
+    console.log("\nArchive summary:");
+    console.log(`  Archived: ${counts.archived || 0}`);
+    console.log(`  Failed: ${counts.failed || 0}`);
+  } else {
+    console.log("\nDry-run plan (pass --confirm to archive):");
+    console.log(`  Would archive: ${counts.planned || 0}`);
+  }
+  console.log(`  Skipped: ${counts.skipped || 0}`);
+
+  const skipped = results.filter((result) => result.action === "skipped");
+  if (skipped.length > 0) {
+    console.log("\nSkipped projects:");
+    for (const result of skipped) {
+      const name = result.gitlab_path_with_namespace || result.github_name;
+      console.log(`- ${name}: ${result.reason}`);
+    }
+  }
+
+  if (counts.failed) {
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,557 @@
+#!/usr/bin/env node
+
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const ROOT = path.join(__dirname, "..");
+
+const ENV_FLAGS = {
+  "gitlab-url": {
+    env: "GITLAB_URL",
+    description: "GitLab base URL (default https://gitlab.com)",
+  },
+  "gitlab-token": {
+    env: "GITLAB_TOKEN",
+    description: "GitLab personal access token with read_api",
+  },
+  group: {
+    env: "GITLAB_GROUP_PATH",
+    description: "GitLab group to audit (default batchnz/work)",
+  },
+  "legacy-group": {
+    env: "GITLAB_LEGACY_GROUP_PATH",
+    description: "GitLab legacy subgroup (default batchnz/work/legacy)",
+  },
+  "github-org": {
+    env: "GITHUB_ORG",
+    description: "GitHub organization (default batchnz)",
+  },
+  "github-token": {
+    env: "GITHUB_TOKEN",
+    description: "GitHub token (falls back to `gh auth token`)",
+  },
+  "github-api-url": {
+    env: "GITHUB_API_URL",
+    description: "GitHub REST root, for GitHub Enterprise",
+  },
+  "github-report": {
+    env: "GITHUB_REPORT_PATH",
+    description: "GitHub crawl CSV (default github_projects_report.csv)",
+  },
+  "gitlab-report": {
+    env: "GITLAB_REPORT_PATH",
+    description: "GitLab crawl CSV (default gitlab_projects_report.csv)",
+  },
+  "archive-report": {
+    env: "GITHUB_GITLAB_REPORT",
+    description:
+      "Archive-status CSV (default github_gitlab_archive_report.csv)",
+  },
+  "sha-report": {
+    env: "SHA_PARITY_REPORT_PATH",
+    description: "SHA parity CSV (default sha_parity_report.csv)",
+  },
+  "refs-report": {
+    env: "VERIFY_REFS_REPORT_PATH",
+    description: "Ref verification CSV (default refs_verification_report.csv)",
+  },
+  "status-report": {
+    env: "REPO_STATUS_REPORT_PATH",
+    description: "Batch repo status CSV (default repo_status_report.csv)",
+  },
+  "late-pushes-report": {
+    env: "LATE_PUSHES_REPORT_PATH",
+    description: "Late GitLab commits CSV (default late_gitlab_pushes.csv)",
+  },
+  "match-overrides": {
+    env: "MATCH_OVERRIDES_PATH",
+    description: "Match overrides JSON/CSV (default match_overrides.json)",
+  },
+  "suggestions-report": {
+    env: "MAPPING_SUGGESTIONS_PATH",
+    description: "Mapping suggestions CSV (default mapping_suggestions.csv)",
+  },
+  "reconcile-report": {
+    env: "RECONCILE_REPORT_PATH",
+    description: "Reconciliation CSV (default reconciliation_report.csv)",
+  },
+  "snapshot-dir": {
+    env: "SNAPSHOT_DIR",
+    description: "Directory for timestamped crawl snapshots (default snapshots)",
+  },
+  ledger: {
+    env: "MIGRATION_LEDGER_PATH",
+    description: "Migration ledger JSON (default migration_ledger.json)",
+  },
+  "ledger-actor": {
+    env: "LEDGER_ACTOR",
+    description: "Name recorded with ledger changes (default $USER)",
+  },
+  "drift-tolerance": {
+    env: "DRIFT_TOLERANCE",
+    description: "GitLab lead ignored as mirror lag, e.g. 15m (default 0)",
+  },
+  "drift-hours-after": {
+    env: "DRIFT_HOURS_AFTER",
+    description: "Drift rated 'hours' from this long (default 1h)",
+  },
+  "drift-days-after": {
+    env: "DRIFT_DAYS_AFTER",
+    description: "Drift rated 'days' from this long (default 1d)",
+  },
+  "drift-weeks-after": {
+    env: "DRIFT_WEEKS_AFTER",
+    description: "Drift rated 'weeks' from this long (default 7d)",
+  },
+  "time-zone": {
+    env: "DISPLAY_TIME_ZONE",
+    description: "Time zone for printed dates (default Pacific/Auckland)",
+  },
+  locale: {
+    env: "DISPLAY_LOCALE",
+    description: "Locale for printed dates (default en-NZ)",
+  },
+  "dashboard-path": {
+    env: "DASHBOARD_PATH",
+    description: "Dashboard HTML file (default migration_dashboard.html)",
+  },
+  issue: {
+    env: "MIGRATION_ISSUE",
+    description: "Post the Markdown report as a comment on this issue number",
+  },
+  "issue-repo": {
+    env: "MIGRATION_ISSUE_REPO",
+    description: "Repo holding the issue: owner/name, or a repo in the org",
+  },
+  "archive-results": {
+    env: "GITLAB_ARCHIVE_RESULTS_PATH",
+    description: "Archive results CSV (default gitlab_archive_results.csv)",
+  },
+};
+
+const GITLAB_FLAGS = ["gitlab-url", "gitlab-token"];
+const GITHUB_FLAGS = ["github-org", "github-token", "github-api-url"];
+const DRIFT_FLAGS = [
+  "drift-tolerance",
+  "drift-hours-after",
+  "drift-days-after",
+  "drift-weeks-after",
+];
+const DISPLAY_FLAGS = ["time-zone", "locale"];
+const REPORT_FLAGS = [
+  "github-report",
+  "gitlab-report",
+  "group",
+  "match-overrides",
+];
+
+const COMMANDS = {
+  "crawl-github": {
+    script: "crawl_github.js",
+    summary: "Crawl the GitHub org into the GitHub CSV report",
+    flags: [...GITHUB_FLAGS, "github-report", "snapshot-dir"],
+    scriptOptions: [
+      ["--full", "Ignore the local cache and re-crawl every repo"],
+      ["--columns <list>", "default, all, or comma-separated column names"],
+    ],
+  },
+  "crawl-gitlab": {
+    script: "crawl_gitlab.js",
+    summary: "Crawl the GitLab group into the GitLab CSV report",
+    flags: [...GITLAB_FLAGS, "group", "gitlab-report", "snapshot-dir"],
+    scriptOptions: [
+      ["--backend rest|graphql", "Crawl via REST (default) or GraphQL"],
+      ["--full", "Ignore the local cache and re-crawl every project"],
+      ["--restart", "Discard an interrupted crawl's checkpoint"],
+      ["--columns <list>", "default, all, or comma-separated column names"],
+    ],
+  },
+  diff: {
+    script: "diff_snapshots.js",
+    summary: "List what changed between two crawl snapshots",
+    flags: ["snapshot-dir"],
+    args: "[before.json [after.json]]",
+    failOn: [
+      "added",
+      "removed",
+      "renamed",
+      "archived",
+      "unarchived",
+      "visibility_changed",
+      "pushed",
+    ],
+    scriptOptions: [
+      ["--source gitlab|github", "Only compare this side's snapshots"],
+    ],
+  },
+  compare: {
+    script: "compare_github_gitlab.js",
+    summary: "List GitHub repos whose GitLab project is not archived",
+    flags: [...REPORT_FLAGS, "archive-report"],
+    failOn: ["not_archived", "missing_in_gitlab", "ambiguous"],
+  },
+  matches: {
+    script: "check_matches.js",
+    summary: "List GitHub repos matching several GitLab projects",
+    flags: REPORT_FLAGS,
+    failOn: ["ambiguous", "invalid_overrides"],
+  },
+  "suggest-mappings": {
+    script: "suggest_mappings.js",
+    summary: "Propose GitLab -> GitHub pairs for unmatched projects",
+    flags: [...REPORT_FLAGS, ...GITLAB_FLAGS, "suggestions-report"],
+    scriptOptions: [
+      ["--offline", "Skip the HEAD SHA and creation date API lookups"],
+    ],
+  },
+  reconcile: {
+    script: "reconcile_github_gitlab.js",
+    summary: "List matched, GitLab-only and GitHub-only projects",
+    flags: [...REPORT_FLAGS, "reconcile-report"],
+    failOn: [
+      "gitlab_only",
+      "gitlab_only_active",
+      "github_only",
+      "not_archived",
+      "ambiguous",
+    ],
+  },
+  "last-change": {
+    script: "check_last_change.js",
+    summary: "Compare GitHub pushed_at with GitLab repository timestamps",
+    flags: [
+      ...REPORT_FLAGS,
+      ...GITLAB_FLAGS,
+      ...GITHUB_FLAGS,
+      "late-pushes-report",
+      ...DRIFT_FLAGS,
+      ...DISPLAY_FLAGS,
+    ],
+    failOn: [
+      "gitlab_newer",
+      "missing_in_gitlab",
+      "ambiguous",
+      "unknown",
+      "drift_minutes",
+      "drift_hours",
+      "drift_days",
+      "drift_weeks",
+    ],
+    scriptOptions: [
+      [
+        "--commits",
+        "List GitLab commits newer than GitHub's last push, by author",
+      ],
+    ],
+  },
+  legacy: {
+    script: "check_legacy_repos.js",
+    summary: "Report which legacy GitLab projects exist on GitHub",
+    flags: [...REPORT_FLAGS, "legacy-group"],
+    failOn: ["missing_on_github", "not_archived"],
+  },
+  visibility: {
+    script: "check_visibility.js",
+    summary: "Flag repos more visible on GitHub than on GitLab (exit 2)",
+    flags: REPORT_FLAGS,
+    failOn: [
+      "visibility_mismatch",
+      "critical",
+      "high",
+      "medium",
+      "unknown_visibility",
+    ],
+  },
+  dashboard: {
+    script: "build_dashboard.js",
+    summary: "Build a self-contained HTML migration dashboard",
+    flags: [
+      ...REPORT_FLAGS,
+      "legacy-group",
+      "dashboard-path",
+      ...DRIFT_FLAGS,
+      ...DISPLAY_FLAGS,
+    ],
+  },
+  report: {
+    script: "report_markdown.js",
+    summary: "Print a Markdown status report, optionally as an issue comment",
+    flags: [
+      ...REPORT_FLAGS,
+      ...GITHUB_FLAGS,
+      "issue",
+      "issue-repo",
+      ...DRIFT_FLAGS,
+      ...DISPLAY_FLAGS,
+    ],
+    failOn: ["to_archive", "to_resync", "to_review", "ambiguous"],
+  },
+  "sha-parity": {
+    script: "check_sha_parity.js",
+    summary: "Compare default-branch HEAD SHAs on both sides",
+    flags: [...REPORT_FLAGS, ...GITLAB_FLAGS, "sha-report"],
+    failOn: [
+      "incomplete",
+      "gitlab_ahead",
+      "diverged",
+      "empty",
+      "sha_error",
+      "missing_in_gitlab",
+    ],
+  },
+  "verify-refs": {
+    script: "verify_refs.js",
+    summary: "Compare every branch and tag on both sides",
+    flags: [...REPORT_FLAGS, ...GITLAB_FLAGS, "refs-report"],
+    failOn: [
+      "incomplete",
+      "missing_on_github",
+      "sha_mismatch",
+      "github_only_refs",
+      "refs_error",
+    ],
+  },
+  archive: {
+    script: "archive_gitlab_projects.js",
+    summary: "Archive migrated GitLab projects (dry-run unless --confirm)",
+    flags: [
+      ...REPORT_FLAGS,
+      ...GITLAB_FLAGS,
+      "archive-report",
+      "sha-report",
+      "archive-results",
+    ],
+    args: "[name ...]",
+    scriptOptions: [
+      ["--confirm", "Actually archive instead of writing a dry-run plan"],
+      ["--only-file <path>", "Only consider names/paths listed in the file"],
+    ],
+  },
+  ledger: {
+    script: "ledger.js",
+    summary: "Track each project's migration state and exceptions",
+    flags: [
+      ...REPORT_FLAGS,
+      "sha-report",
+      "refs-report",
+      "snapshot-dir",
+      "ledger",
+      "ledger-actor",
+    ],
+    args: "status|sync|advance|except|unexcept [id|path ...]",
+    scriptOptions: [
+      ["--state <state>", "status: only list projects in this state"],
+      ["--reason <text>", "except: why the project is not migrated"],
+    ],
+  },
+  status: {
+    script: "check_repo_status.js",
+    summary: "Check repos on GitHub and anywhere under the GitLab group",
+    flags: [
+      ...GITHUB_FLAGS,
+      ...GITLAB_FLAGS,
+      "group",
+      "status-report",
+      "match-overrides",
+    ],
+    failOn: [
+      "not_archived",
+      "not_found",
+      "missing_on_github",
+      "ambiguous",
+      "unknown",
+    ],
+    args: "[repo ...]",
+    scriptOptions: [["--file <path>", "Also check the names listed in the file"]],
+  },
+};
+
+const GROUPS = {
+  crawl: {
+    summary: "Crawl GitHub and then GitLab",
+    steps: ["crawl-github", "crawl-gitlab"],
+  },
+  "run-all": {
+    summary: "Crawl both sides, then run every analysis in order",
+    steps: [
+      "crawl-github",
+      "crawl-gitlab",
+      "compare",
+      "reconcile",
+      "last-change",
+      "legacy",
+      "sha-parity",
+      "verify-refs",
+      "dashboard",
+      "visibility",
+    ],
+  },
+};
+
+function groupFlags(steps) {
+  const flags = new Set();
+  for (const step of steps) {
+    for (const flag of COMMANDS[step].flags) {
+      flags.add(flag);
+    }
+  }
+  return Array.from(flags);
+}
+
+function printUsage() {
+  const names = [...Object.keys(COMMANDS), ...Object.keys(GROUPS)];
+  const width = Math.max(...names.map((name) => name.length)) + 2;
+  console.log("Usage: migration-audit <command> [options]\n");
+  console.log("Commands:");
+  for (const [name, command] of Object.entries({ ...GROUPS, ...COMMANDS })) {
+    console.log(`  ${name.padEnd(width)}${command.summary}`);
+  }
+  console.log(
+    "\nRun `migration-audit <command> --help` for the options of a command.",
+  );
+  console.log(
+    "Flags override environment variables, which override values in .env.",
+  );
+  console.log(
+    "Exit codes: 0 ok, 1 the command could not run, 2 a --fail-on condition has findings.",
+  );
+}
+
+function printCommandHelp(name) {
+  const command = COMMANDS[name] || GROUPS[name];
+  const flags = COMMANDS[name] ? command.flags : groupFlags(command.steps);
+  const rows = flags.map((flag) => [
+    `--${flag} <value>`,
+    `${ENV_FLAGS[flag].description} [${ENV_FLAGS[flag].env}]`,
+  ]);
+  rows.push(...(command.scriptOptions || []));
+  if (command.failOn) {
+    rows.push([
+      "--fail-on <list>",
+      `Exit 2 when any of these has findings: ${command.failOn.join(", ")}, any, none`,
+    ]);
+  }
+  if (COMMANDS[name]) {
+    rows.push([
+      "--format csv|json|ndjson|table|markdown",
+      "Print rows and summary counters to stdout in this format",
+    ]);
+  }
+  rows.push(["--help", "Show this help"]);
+  const width = Math.max(...rows.map(([flag]) => flag.length)) + 2;
+
+  const args = command.args ? ` ${command.args}` : "";
+  console.log(`Usage: migration-audit ${name} [options]${args}\n`);
+  console.log(`${command.summary}.`);
+  if (command.steps) {
+    console.log(`Runs: ${command.steps.join(" -> ")}`);
+  }
+  console.log("\nOptions:");
+  for (const [flag, description] of rows) {
+    console.log(`  ${flag.padEnd(width)}${description}`);
+  }
+}
+
+// Splits argv into env overrides for the flags this command understands and
+// everything else, which is handed to the underlying script untouched.
+function parseArgs(argv, allowedFlags) {
+  const env = {};
+  const passthrough = [];
+  let help = false;
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      help = true;
+      continue;
+    }
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match && allowedFlags.includes(match[1])) {
+      let value = match[2];
+      if (value === undefined) {
+        value = argv[i + 1];
+        i += 1;
+      }
+      if (value === undefined) {
+        throw new Error(`Option --${match[1]} needs a value.`);
+      }
+      env[ENV_FLAGS[match[1]].env] = value;
+      continue;
+    }
+    passthrough.push(arg);
+  }
+
+  return { env, passthrough, help };
+}
+
+function runScript(name, env, passthrough, banner = false) {
+  const command = COMMANDS[name];
+  if (banner) {
+    console.log(`\n=== migration-audit ${name} ===`);
+  }
+  const result = spawnSync(
+    process.execPath,
+    [path.join(ROOT, command.script), ...passthrough],
+    { stdio: "inherit", env: { ...process.env, ...env } },
+  );
+  if (result.error) {
+    throw result.error;
+  }
+  return result.status === null ? 1 : result.status;
+}
+
+function main() {
+  const [name, ...rest] = process.argv.slice(2);
+
+  if (!name || name === "--help" || name === "-h" || name === "help") {
+    printUsage();
+    return 0;
+  }
+
+  const command = COMMANDS[name];
+  const group = GROUPS[name];
+  if (!command && !group) {
+    console.error(`Error: unknown command '${name}'.\n`);
+    printUsage();
+    return 1;
+  }
+
+  const flags = command ? command.flags : groupFlags(group.steps);
+  let parsed;
+  try {
+    parsed = parseArgs(rest, flags);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+  if (parsed.help) {
+    printCommandHelp(name);
+    return 0;
+  }
+
+  if (command) {
+    return runScript(name, parsed.env, parsed.passthrough);
+  }
+
+  if (parsed.passthrough.length > 0) {
+    console.error(
+      `Error: '${name}' does not accept ${parsed.passthrough.join(" ")}.`,
+    );
+    return 1;
+  }
+  for (const step of group.steps) {
+    const status = runScript(step, parsed.env, [], true);
+    if (status !== 0) {
+      console.error(`\n'${step}' failed with exit code ${status}; stopping.`);
+      return status;
+    }
+  }
+  return 0;
+}
+
+try {
+  process.exitCode = main();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const { readGithubReport, readGitlabReport } = require("./lib/reports");
+const { matchOptionsFromConfig } = require("./lib/matching");
+const {
+  displayOptionsFromConfig,
+  driftOptionsFromConfig,
+} = require("./lib/last-change");
+const { extractFormat, loggerFor, writeOutput } = require("./lib/output");
+const {
+  DASHBOARD_HEADERS,
+  DASHBOARD_STATUSES,
+  buildDashboardData,
+  renderDashboardHtml,
+} = require("./lib/dashboard");
+
+async function main() {
+  loadEnv();
+  const config = resolveConfig();
+  const { format } = extractFormat(process.argv.slice(2));
+  const logger = loggerFor(format);
+  const githubPath = config.githubReportPath;
+  const gitlabPath = config.gitlabReportPath;
+  const outputPath = config.dashboardPath;
+
+  logger.log(`Loading GitHub report from ${githubPath}`);
+  const githubRecords = readGithubReport(githubPath);
+  logger.log(`Loading GitLab report from ${gitlabPath}`);
+  const gitlabRecords = readGitlabReport(gitlabPath);
+
+  const data = buildDashboardData(githubRecords, gitlabRecords, {
+    legacyGroupPath: config.legacyGroupPath,
+    ...matchOptionsFromConfig(config),
+    ...driftOptionsFromConfig(config),
+  });
+  fs.writeFileSync(
+    outputPath,
+    renderDashboardHtml(data, displayOptionsFromConfig(config)),
+    "utf8",
+  );
+  logger.log(`Wrote migration dashboard to ${outputPath}`);
+
+  if (format) {
+    writeOutput(format, {
+      headers: DASHBOARD_HEADERS,
+      rows: data.projects,
+      summary: data.totals,
+    });
+    return;
+  }
+
+  console.log(`\nGitLab projects: ${data.totals.gitlab_projects}`);
+  for (const [status, info] of Object.entries(DASHBOARD_STATUSES)) {
+    console.log(`  ${info.label}: ${data.totals[status]}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
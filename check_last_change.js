@@ -1,289 +1,246 @@
 #!/usr/bin/env node
 
-const fs = require("fs");
-const path = require("path");
-
-function loadEnv(envPath = path.join(process.cwd(), ".env")) {
-  if (!fs.existsSync(envPath)) {
-    return;
-  }
-  const raw = fs.readFileSync(envPath, "utf8");
-  raw
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter((line) => line && !line.startsWith("#"))
-    .forEach((line) => {
-      const eq = line.indexOf("=");
-      if (eq === -1) {
-        return;
-      }
-      const key = line.slice(0, eq).trim();
-      if (!key) {
-        return;
-      }
-      let value = line.slice(eq + 1).trim();
-      if (
-        (value.startsWith('"') && value.endsWith('"')) ||
-        (value.startsWith("'") && value.endsWith("'"))
-      ) {
-        value = value.slice(1, -1);
-      }
-      if (!Object.prototype.hasOwnProperty.call(process.env, key)) {
-        process.env[key] = value;
-      }
-    });
-}
-
-function parseCsv(content) {
-  const rows = [];
-  let row = [];
-  let cell = "";
-  let inQuotes = false;
-
-  for (let i = 0; i < content.length; i += 1) {
-    const char = content[i];
-    if (inQuotes) {
-      if (char === '"') {
-        const next = content[i + 1];
-        if (next === '"') {
-          cell += '"';
-          i += 1;
-        } else {
-          inQuotes = false;
-        }
-      } else {
-        cell += char;
-      }
-    } else if (char === '"') {
-      inQuotes = true;
-    } else if (char === ",") {
-      row.push(cell);
-      cell = "";
-    } else if (char === "\r" || char === "\n") {
-      row.push(cell);
-      rows.push(row);
-      row = [];
-      cell = "";
-      if (char === "\r" && content[i + 1] === "\n") {
-        i += 1;
-      }
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const { writeCsv } = require("./lib/csv");
+const { readGithubReport, readGitlabReport } = require("./lib/reports");
+const { extractFormat, loggerFor, writeOutput } = require("./lib/output");
+const {
+  DRIFT_SEVERITIES,
+  compareLastChanges,
+  formatDate,
+  displayOptionsFromConfig,
+  driftOptionsFromConfig,
+} = require("./lib/last-change");
+const { formatDuration } = require("./lib/duration");
+const { matchOptionsFromConfig, warnMatchIssues } = require("./lib/matching");
+const { extractFailOn, applyFailOn } = require("./lib/fail-on");
+const { LATE_PUSH_HEADERS, findLatePushes } = require("./lib/late-pushes");
+
+const FAIL_ON_CONDITIONS = [
+  "gitlab_newer",
+  "missing_in_gitlab",
+  "ambiguous",
+  "unknown",
+  "drift_minutes",
+  "drift_hours",
+  "drift_days",
+  "drift_weeks",
+];
+
+function parseArgs(argv) {
+  const options = { commits: false };
+  for (const arg of argv) {
+    if (arg === "--commits") {
+      options.commits = true;
     } else {
-      cell += char;
+      throw new Error(`Unknown option '${arg}'.`);
     }
   }
-
-  if (cell.length > 0 || row.length > 0) {
-    row.push(cell);
-    rows.push(row);
-  }
-
-  if (
-    rows.length > 0 &&
-    rows[rows.length - 1].length === 1 &&
-    rows[rows.length - 1][0] === ""
-  ) {
-    rows.pop();
-  }
-
-  return rows;
-}
-
-function readCsv(pathname) {
-  const raw = fs.readFileSync(pathname, "utf8");
-  const rows = parseCsv(raw);
-  if (rows.length === 0) {
-    return [];
-  }
-  const headers = rows[0];
-  return rows.slice(1).map((cells) => {
-    const record = {};
-    headers.forEach((header, index) => {
-      record[header] = cells[index] ?? "";
-    });
-    return record;
-  });
-}
-
-function getGithubTimestamp(record) {
-  return record.pushed_at || record.pushedAt || "";
-}
-
-function toDate(value) {
-  if (!value) {
-    return null;
-  }
-  const parsed = new Date(value);
-  if (Number.isNaN(parsed.getTime())) {
-    return null;
-  }
-  return parsed;
-}
-
-function pickGitlabTimestamp(project) {
-  return (
-    project.last_repository_updated_at ||
-    project.last_activity_at ||
-    ""
-  );
-}
-
-function formatNzDate(value) {
-  if (!value) {
-    return "n/a";
-  }
-  const date = new Date(value);
-  if (Number.isNaN(date.getTime())) {
-    return "n/a";
-  }
-  return new Intl.DateTimeFormat("en-NZ", {
-    timeZone: "Pacific/Auckland",
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    hour12: false,
-  }).format(date);
+  return options;
 }
 
-function compareLastChanges(githubRecords, gitlabRecords) {
-  const gitlabByName = {};
-  for (const record of gitlabRecords) {
-    const name = (record.name || "").trim().toLowerCase();
-    if (!name) {
-      continue;
+function printLatePushes({ rows, authors }, display) {
+  const errors = rows.filter((row) => row.error);
+  if (authors.length === 0) {
+    console.log("\nNo GitLab commits found after the GitHub pushes.");
+  } else {
+    console.log("\nPeople still pushing to GitLab after GitHub's last push:");
+    for (const author of authors) {
+      console.log(
+        `\n${author.author_name} <${author.author_email}>: ${
+          author.commits
+        } commit(s) in ${author.repos.length} repo(s), last ${formatDate(
+          author.last_committed_at,
+          display,
+        )}`,
+      );
+      for (const row of author.rows) {
+        const branch = row.new_branch
+          ? `${row.branches}, not on GitHub`
+          : row.branches;
+        console.log(
+          `  - ${row.gitlab_path} [${branch}] ${formatDate(
+            row.committed_at,
+            display,
+          )} ${String(row.sha).slice(0, 12)} ${row.title}`,
+        );
+      }
     }
-    if (!gitlabByName[name]) {
-      gitlabByName[name] = record;
+  }
+  if (errors.length > 0) {
+    console.log("\nRepos whose commits could not be listed:");
+    for (const row of errors) {
+      console.log(`- ${row.gitlab_path}: ${row.error}`);
     }
   }
+}
 
-  const results = [];
-  const counters = {
-    compared: 0,
-    missingInGitLab: 0,
-    gitlabNewer: 0,
-    githubNewerOrEqual: 0,
-    unknown: 0,
+// How far ahead GitLab is, for the repos where it is ahead at all.
+function printDriftHistogram(histogram, drift) {
+  const labels = {
+    within_tolerance: `within tolerance (<= ${formatDuration(
+      drift.toleranceMs,
+    )})`,
+    minutes: `minutes (< ${formatDuration(drift.hoursAfterMs)})`,
+    hours: `hours (< ${formatDuration(drift.daysAfterMs)})`,
+    days: `days (< ${formatDuration(drift.weeksAfterMs)})`,
+    weeks: `weeks (>= ${formatDuration(drift.weeksAfterMs)})`,
   };
-
-  for (const repo of githubRecords) {
-    const name = (repo.name || "").trim();
-    if (!name) {
-      continue;
-    }
-    const project = gitlabByName[name.toLowerCase()];
-    if (!project) {
-      counters.missingInGitLab += 1;
-      continue;
-    }
-
-    counters.compared += 1;
-    const githubTimestamp = getGithubTimestamp(repo);
-    const githubDate = toDate(githubTimestamp);
-    const gitlabTimestamp = pickGitlabTimestamp(project);
-    const gitlabDate = toDate(gitlabTimestamp);
-
-    if (!githubDate && !gitlabDate) {
-      counters.unknown += 1;
-        results.push({
-          name,
-          githubPushedAt: githubTimestamp || "",
-          gitlabUpdatedAt: gitlabTimestamp || "",
-          status: "unknown_timestamps",
-        });
-      continue;
-    }
-
-    if (!githubDate) {
-      counters.gitlabNewer += 1;
-        results.push({
-          name,
-          githubPushedAt: githubTimestamp || "",
-          gitlabUpdatedAt: gitlabTimestamp || "",
-          status: "gitlab_has_timestamp_only",
-        });
-      continue;
-    }
-
-    if (!gitlabDate) {
-      counters.githubNewerOrEqual += 1;
-        results.push({
-          name,
-          githubPushedAt: githubTimestamp || "",
-          gitlabUpdatedAt: gitlabTimestamp || "",
-          status: "github_has_timestamp_only",
-        });
-        continue;
-      }
-
-      if (gitlabDate.getTime() > githubDate.getTime()) {
-      counters.gitlabNewer += 1;
-      results.push({
-          name,
-          githubPushedAt: githubTimestamp,
-          gitlabUpdatedAt: gitlabTimestamp,
-          status: "gitlab_newer",
-        });
-      } else {
-      counters.githubNewerOrEqual += 1;
-      results.push({
-          name,
-          githubPushedAt: githubTimestamp,
-          gitlabUpdatedAt: gitlabTimestamp,
-          status: "github_newer_or_equal",
-        });
-      }
+  const total = DRIFT_SEVERITIES.reduce((sum, key) => sum + histogram[key], 0);
+  if (total === 0) {
+    return;
+  }
+  const width = Math.max(...Object.values(labels).map((label) => label.length));
+  console.log("\nGitLab drift ahead of GitHub:");
+  for (const key of DRIFT_SEVERITIES) {
+    const bar = "#".repeat(Math.ceil((histogram[key] / total) * 40));
+    console.log(`  ${labels[key].padEnd(width)}  ${bar} ${histogram[key]}`);
   }
-
-  return { results, counters };
 }
 
 async function main() {
   loadEnv();
-
-  const githubPath =
-    process.env.GITHUB_REPORT_PATH || "github_projects_report.csv";
-  const gitlabPath =
-    process.env.GITLAB_REPORT_PATH || "gitlab_projects_report.csv";
-
-  if (!fs.existsSync(githubPath)) {
-    console.error(`Error: GitHub report '${githubPath}' not found. Run js/crawl_github.js first.`);
-    process.exit(1);
-  }
-  if (!fs.existsSync(gitlabPath)) {
-    console.error(`Error: GitLab report '${gitlabPath}' not found. Run js/crawl_gitlab.js first.`);
+  const config = resolveConfig();
+  let format;
+  let failOn;
+  let options;
+  try {
+    const extracted = extractFormat(process.argv.slice(2));
+    format = extracted.format;
+    const failOnExtracted = extractFailOn(extracted.args, FAIL_ON_CONDITIONS);
+    failOn = failOnExtracted.failOn;
+    options = parseArgs(failOnExtracted.args);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(
+      "Usage: node check_last_change.js [--commits] [--fail-on <conditions>] [--format csv|json|ndjson|table|markdown]",
+    );
     process.exit(1);
   }
+  const logger = loggerFor(format);
+  const githubPath = config.githubReportPath;
+  const gitlabPath = config.gitlabReportPath;
+
+  logger.log(`Loading GitHub report from ${githubPath}`);
+  const githubRecords = readGithubReport(githubPath);
+  logger.log(`Loaded ${githubRecords.length} GitHub repos.`);
+
+  logger.log(`Loading GitLab report from ${gitlabPath}`);
+  const gitlabRecords = readGitlabReport(gitlabPath);
+  logger.log(`Loaded ${gitlabRecords.length} GitLab projects.`);
+
+  const display = displayOptionsFromConfig(config);
+  const comparison = compareLastChanges(githubRecords, gitlabRecords, {
+    ...matchOptionsFromConfig(config),
+    ...driftOptionsFromConfig(config),
+  });
+  const { results, counters } = comparison;
+  warnMatchIssues(comparison, logger);
+  applyFailOn(
+    failOn,
+    {
+      gitlab_newer: counters.gitlabNewer,
+      missing_in_gitlab: counters.missingInGitLab,
+      ambiguous: counters.ambiguous,
+      unknown: counters.unknown,
+      drift_minutes: counters.drift.minutes,
+      drift_hours: counters.drift.hours,
+      drift_days: counters.drift.days,
+      drift_weeks: counters.drift.weeks,
+    },
+    logger,
+  );
 
-  console.log(`Loading GitHub report from ${githubPath}`);
-  const githubRecords = readCsv(githubPath);
-  console.log(`Loaded ${githubRecords.length} GitHub repos.`);
+  let latePushes = null;
+  if (options.commits) {
+    latePushes = await findLatePushes(results, {
+      gitlabUrl: config.gitlabUrl,
+      gitlabToken: config.gitlabToken,
+      githubToken: config.githubToken,
+      concurrency: config.latePushConcurrency,
+      logger,
+    });
+    writeCsv(config.latePushesReportPath, LATE_PUSH_HEADERS, latePushes.rows);
+    logger.log(`Wrote late GitLab commits to ${config.latePushesReportPath}`);
+  }
 
-  console.log(`Loading GitLab report from ${gitlabPath}`);
-  const gitlabRecords = readCsv(gitlabPath);
-  console.log(`Loaded ${gitlabRecords.length} GitLab projects.`);
+  if (format && latePushes) {
+    writeOutput(format, {
+      headers: LATE_PUSH_HEADERS,
+      rows: latePushes.rows,
+      summary: latePushes.counts,
+    });
+    return;
+  }
 
-  const { results, counters } = compareLastChanges(githubRecords, gitlabRecords);
+  if (format) {
+    writeOutput(format, {
+      headers: [
+        "name",
+        "gitlab_path_with_namespace",
+        "github_pushed_at",
+        "gitlab_updated_at",
+        "status",
+        "drift_seconds",
+        "severity",
+      ],
+      rows: results.map((entry) => ({
+        name: entry.name,
+        gitlab_path_with_namespace: entry.gitlabPath,
+        github_pushed_at: entry.githubPushedAt,
+        gitlab_updated_at: entry.gitlabUpdatedAt,
+        status: entry.status,
+        drift_seconds: entry.driftSeconds,
+        severity: entry.severity,
+      })),
+      summary: {
+        compared: counters.compared,
+        missing_in_gitlab: counters.missingInGitLab,
+        ambiguous: counters.ambiguous,
+        gitlab_newer: counters.gitlabNewer,
+        within_tolerance: counters.withinTolerance,
+        github_newer_or_equal: counters.githubNewerOrEqual,
+        unknown: counters.unknown,
+        ...Object.fromEntries(
+          DRIFT_SEVERITIES.map((key) => [`drift_${key}`, counters.drift[key]]),
+        ),
+      },
+    });
+    return;
+  }
 
   console.log("\nComparison summary:");
   console.log(`  Repos compared: ${counters.compared}`);
   console.log(`  Missing in GitLab: ${counters.missingInGitLab}`);
+  console.log(`  Ambiguous GitLab match: ${counters.ambiguous}`);
   console.log(`  GitLab newer: ${counters.gitlabNewer}`);
+  console.log(
+    `  GitLab newer within tolerance (${formatDuration(
+      comparison.drift.toleranceMs,
+    )}): ${counters.withinTolerance}`,
+  );
   console.log(`  GitHub newer or equal: ${counters.githubNewerOrEqual}`);
   console.log(`  Unknown timestamps: ${counters.unknown}`);
+  printDriftHistogram(counters.drift, comparison.drift);
 
   if (counters.gitlabNewer > 0) {
     console.log("\nRepos where GitLab looks newer:");
-    for (const entry of results.filter((item) => item.status === "gitlab_newer")) {
-      const ghDate = formatNzDate(entry.githubPushedAt);
-      const glDate = formatNzDate(entry.gitlabUpdatedAt);
-      console.log(`- ${entry.name}: GitHub pushed_at=${ghDate}, GitLab last_repository_updated_at=${glDate}`);
+    const newer = results
+      .filter((item) => item.status === "gitlab_newer")
+      .sort((a, b) => b.driftSeconds - a.driftSeconds);
+    for (const entry of newer) {
+      const ghDate = formatDate(entry.githubPushedAt, display);
+      const glDate = formatDate(entry.gitlabUpdatedAt, display);
+      console.log(`- [${entry.severity}] ${entry.name} (${entry.gitlabPath}): GitHub pushed_at=${ghDate}, GitLab last_repository_updated_at=${glDate}, ${formatDuration(entry.driftSeconds * 1000)} ahead`);
     }
   } else {
     console.log("\nAll matching repos are up-to-date on GitHub or have equal timestamps.");
   }
+
+  if (latePushes) {
+    printLatePushes(latePushes, display);
+  }
 }
 
 main().catch((error) => {
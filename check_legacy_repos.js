@@ -1,176 +1,86 @@
 #!/usr/bin/env node
 
-const fs = require("fs");
-const path = require("path");
-
-function loadEnv(envPath = path.join(process.cwd(), ".env")) {
-  if (!fs.existsSync(envPath)) {
-    return;
-  }
-  const raw = fs.readFileSync(envPath, "utf8");
-  raw
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter((line) => line && !line.startsWith("#"))
-    .forEach((line) => {
-      const eq = line.indexOf("=");
-      if (eq === -1) {
-        return;
-      }
-      const key = line.slice(0, eq).trim();
-      if (!key) {
-        return;
-      }
-      let value = line.slice(eq + 1).trim();
-      if (
-        (value.startsWith('"') && value.endsWith('"')) ||
-        (value.startsWith("'") && value.endsWith("'"))
-      ) {
-        value = value.slice(1, -1);
-      }
-      if (!Object.prototype.hasOwnProperty.call(process.env, key)) {
-        process.env[key] = value;
-      }
-    });
-}
-
-function parseCsv(content) {
-  const rows = [];
-  let row = [];
-  let cell = "";
-  let inQuotes = false;
-
-  for (let i = 0; i < content.length; i += 1) {
-    const char = content[i];
-    if (inQuotes) {
-      if (char === '"') {
-        const next = content[i + 1];
-        if (next === '"') {
-          cell += '"';
-          i += 1;
-        } else {
-          inQuotes = false;
-        }
-      } else {
-        cell += char;
-      }
-    } else if (char === '"') {
-      inQuotes = true;
-    } else if (char === ",") {
-      row.push(cell);
-      cell = "";
-    } else if (char === "\r" || char === "\n") {
-      row.push(cell);
-      rows.push(row);
-      row = [];
-      cell = "";
-      if (char === "\r" && content[i + 1] === "\n") {
-        i += 1;
-      }
-    } else {
-      cell += char;
-    }
-  }
-
-  if (cell.length > 0 || row.length > 0) {
-    row.push(cell);
-    rows.push(row);
-  }
-
-  if (
-    rows.length > 0 &&
-    rows[rows.length - 1].length === 1 &&
-    rows[rows.length - 1][0] === ""
-  ) {
-    rows.pop();
-  }
-
-  return rows;
-}
-
-function readCsv(pathname) {
-  const raw = fs.readFileSync(pathname, "utf8");
-  const rows = parseCsv(raw);
-  if (rows.length === 0) {
-    return [];
-  }
-  const headers = rows[0];
-  return rows.slice(1).map((cells) => {
-    const record = {};
-    headers.forEach((header, index) => {
-      record[header] = cells[index] ?? "";
-    });
-    return record;
-  });
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const { readGithubReport, readGitlabReport } = require("./lib/reports");
+const { matchOptionsFromConfig, warnMatchIssues } = require("./lib/matching");
+const { extractFormat, loggerFor, writeOutput } = require("./lib/output");
+const { findLegacyProjects } = require("./lib/legacy");
+const { extractFailOn, applyFailOn } = require("./lib/fail-on");
+
+const FAIL_ON_CONDITIONS = ["missing_on_github", "not_archived"];
+
+function isArchived(value) {
+  return value === true || value === "true";
 }
 
 async function main() {
   loadEnv();
-
-  const githubPath =
-    process.env.GITHUB_REPORT_PATH || "github_projects_report.csv";
-  const gitlabPath =
-    process.env.GITLAB_REPORT_PATH || "gitlab_projects_report.csv";
-  const legacyPrefix =
-    (process.env.GITLAB_LEGACY_GROUP_PATH || "batchnz/work/legacy").toLowerCase();
-
-  if (!fs.existsSync(githubPath)) {
-    console.error(`Error: GitHub report '${githubPath}' not found. Run js/crawl_github.js first.`);
-    process.exit(1);
-  }
-  if (!fs.existsSync(gitlabPath)) {
-    console.error(`Error: GitLab report '${gitlabPath}' not found. Run js/crawl_gitlab.js first.`);
-    process.exit(1);
-  }
-
-  console.log(`Loading GitHub report from ${githubPath}`);
-  const githubRecords = readCsv(githubPath);
-  const githubByName = {};
-  for (const repo of githubRecords) {
-    const key = (repo.name || "").trim().toLowerCase();
-    if (!key || githubByName[key]) {
-      continue;
-    }
-    githubByName[key] = repo;
-  }
-  console.log(`Loaded ${githubRecords.length} GitHub repos.`);
-
-  console.log(`Loading GitLab report from ${gitlabPath}`);
-  const gitlabRecords = readCsv(gitlabPath);
-  console.log(`Loaded ${gitlabRecords.length} GitLab projects.`);
-
-  const legacyProjects = gitlabRecords.filter((project) => {
-    const pathWithNamespace = (project.path_with_namespace || "").toLowerCase();
-    return pathWithNamespace.startsWith(legacyPrefix);
-  });
-
-  const matches = [];
-  const missing = [];
-
-  for (const project of legacyProjects) {
-    const key = (project.name || "").trim().toLowerCase();
-    if (!key) {
-      continue;
-    }
-    const repo = githubByName[key];
-    if (repo) {
-      matches.push({
-        name: project.name,
-        githubArchived: repo.archived || repo.isArchived || "",
-        githubVisibility: repo.visibility || "",
-        githubUrl: repo.url || "",
-        gitlabArchived: project.archived,
-        gitlabPath: project.path_with_namespace,
-        gitlabUrl: project.web_url,
-      });
-    } else {
-      missing.push({
-        name: project.name,
-        gitlabArchived: project.archived,
-        gitlabPath: project.path_with_namespace,
-        gitlabUrl: project.web_url,
-      });
-    }
+  const config = resolveConfig();
+  const { format, args } = extractFormat(process.argv.slice(2));
+  const { failOn } = extractFailOn(args, FAIL_ON_CONDITIONS);
+  const logger = loggerFor(format);
+  const githubPath = config.githubReportPath;
+  const gitlabPath = config.gitlabReportPath;
+
+  logger.log(`Loading GitHub report from ${githubPath}`);
+  const githubRecords = readGithubReport(githubPath);
+  logger.log(`Loaded ${githubRecords.length} GitHub repos.`);
+
+  logger.log(`Loading GitLab report from ${gitlabPath}`);
+  const gitlabRecords = readGitlabReport(gitlabPath);
+  logger.log(`Loaded ${gitlabRecords.length} GitLab projects.`);
+
+  const legacy = findLegacyProjects(
+    githubRecords,
+    gitlabRecords,
+    config.legacyGroupPath,
+    matchOptionsFromConfig(config),
+  );
+  const { legacyProjects, matches, missing } = legacy;
+  warnMatchIssues(legacy, logger);
+  applyFailOn(
+    failOn,
+    {
+      missing_on_github: missing.length,
+      not_archived: matches.filter((item) => !isArchived(item.gitlabArchived))
+        .length,
+    },
+    logger,
+  );
+
+  if (format) {
+    writeOutput(format, {
+      headers: [
+        "name",
+        "status",
+        "gitlab_path",
+        "gitlab_archived",
+        "gitlab_url",
+        "github_archived",
+        "github_visibility",
+        "github_url",
+      ],
+      rows: [
+        ...matches.map((item) => ({ ...item, status: "on_github" })),
+        ...missing.map((item) => ({ ...item, status: "missing_from_github" })),
+      ].map((item) => ({
+        name: item.name,
+        status: item.status,
+        gitlab_path: item.gitlabPath,
+        gitlab_archived: item.gitlabArchived,
+        gitlab_url: item.gitlabUrl,
+        github_archived: item.githubArchived,
+        github_visibility: item.githubVisibility,
+        github_url: item.githubUrl,
+      })),
+      summary: {
+        legacy_projects: legacyProjects.length,
+        on_github: matches.length,
+        missing_from_github: missing.length,
+      },
+    });
+    return;
   }
 
   console.log("\nSummary:");
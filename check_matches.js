@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const { readGithubReport, readGitlabReport } = require("./lib/reports");
+const { extractFormat, loggerFor, writeOutput } = require("./lib/output");
+const { loadMatchOverrides, matchProjects } = require("./lib/matching");
+const { extractFailOn, applyFailOn } = require("./lib/fail-on");
+
+const MATCH_ISSUE_HEADERS = [
+  "name",
+  "issue",
+  "github_name_with_owner",
+  "gitlab_path_with_namespace",
+  "gitlab_web_url",
+];
+
+const FAIL_ON_CONDITIONS = ["ambiguous", "invalid_overrides"];
+
+async function main() {
+  loadEnv();
+  const config = resolveConfig();
+  const { format, args } = extractFormat(process.argv.slice(2));
+  const { failOn } = extractFailOn(args, FAIL_ON_CONDITIONS);
+  const logger = loggerFor(format);
+  const githubPath = config.githubReportPath;
+  const gitlabPath = config.gitlabReportPath;
+  const overridesPath = config.matchOverridesPath;
+
+  logger.log(`Loading GitHub report from ${githubPath}`);
+  const githubRecords = readGithubReport(githubPath);
+  logger.log(`Loading GitLab report from ${gitlabPath}`);
+  const gitlabRecords = readGitlabReport(gitlabPath);
+  const overrides = loadMatchOverrides(overridesPath);
+  logger.log(
+    `Loaded ${overrides.length} match overrides from ${overridesPath}`,
+  );
+
+  const { pairs, ambiguous, invalidOverrides } = matchProjects(
+    githubRecords,
+    gitlabRecords,
+    { overrides, groupPath: config.groupPath },
+  );
+  applyFailOn(
+    failOn,
+    { ambiguous: ambiguous.length, invalid_overrides: invalidOverrides.length },
+    logger,
+  );
+  const matchedBy = { override: 0, path: 0, name: 0 };
+  for (const pair of pairs) {
+    matchedBy[pair.matchedBy] += 1;
+  }
+
+  if (format) {
+    writeOutput(format, {
+      headers: MATCH_ISSUE_HEADERS,
+      rows: [
+        ...ambiguous.flatMap(({ name, github, candidates }) =>
+          candidates.map((gitlab) => ({
+            name,
+            issue: "ambiguous",
+            github_name_with_owner:
+              github.name_with_owner || github.nameWithOwner || "",
+            gitlab_path_with_namespace: gitlab.path_with_namespace || "",
+            gitlab_web_url: gitlab.web_url || "",
+          })),
+        ),
+        ...invalidOverrides.map((entry) => ({
+          name: entry.name,
+          issue: entry.problem,
+          gitlab_path_with_namespace: entry.path,
+        })),
+      ],
+      summary: {
+        matched: pairs.length,
+        matched_by_override: matchedBy.override,
+        matched_by_path: matchedBy.path,
+        matched_by_name: matchedBy.name,
+        ambiguous: ambiguous.length,
+        invalid_overrides: invalidOverrides.length,
+      },
+    });
+    return;
+  }
+
+  console.log("\nMatching summary:");
+  console.log(`  Matched: ${pairs.length}`);
+  console.log(`    by override: ${matchedBy.override}`);
+  console.log(`    by namespaced path: ${matchedBy.path}`);
+  console.log(`    by unique name: ${matchedBy.name}`);
+  console.log(`  Ambiguous: ${ambiguous.length}`);
+  console.log(`  Overrides naming unknown repos/projects: ${invalidOverrides.length}`);
+
+  if (invalidOverrides.length > 0) {
+    console.log(`\nOverrides in ${overridesPath} not found in the crawl reports:`);
+    for (const entry of invalidOverrides) {
+      const missing = {
+        github_not_found: "GitHub repo not found",
+        gitlab_not_found: "GitLab project not found",
+        gitlab_id_column_missing: "GitLab report has no id column",
+      }[entry.problem];
+      console.log(
+        `- ${entry.name || "(no GitHub repo)"} -> ${entry.path || "(none)"}: ${missing}`,
+      );
+    }
+  }
+
+  if (ambiguous.length === 0) {
+    console.log("\nEvery GitHub repo matches at most one GitLab project.");
+    return;
+  }
+
+  console.log("\nGitHub repos matching several GitLab projects:");
+  for (const { name, candidates } of ambiguous) {
+    console.log(`- ${name}:`);
+    for (const gitlab of candidates) {
+      console.log(`    ${gitlab.path_with_namespace} (${gitlab.web_url || "no url"})`);
+    }
+  }
+  const template = {};
+  for (const { name, candidates } of ambiguous) {
+    template[name] = candidates[0].path_with_namespace;
+  }
+  console.log(
+    `\nResolve them in ${overridesPath} (GitHub repo name -> GitLab path, or "" for no counterpart), e.g.:`,
+  );
+  console.log(JSON.stringify(template, null, 2));
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
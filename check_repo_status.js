@@ -1,194 +1,179 @@
 #!/usr/bin/env node
 
-const fs = require("fs");
-const path = require("path");
-const https = require("https");
-const { execFile } = require("child_process");
-
-function loadEnv(envPath = path.join(process.cwd(), ".env")) {
-  if (!fs.existsSync(envPath)) {
-    return;
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const { writeCsv } = require("./lib/csv");
+const { readNameList } = require("./lib/reports");
+const { loadMatchOverrides } = require("./lib/matching");
+const {
+  REPO_STATUS_HEADERS,
+  checkRepoStatuses,
+} = require("./lib/repo-status");
+const {
+  extractFormat,
+  loggerFor,
+  renderTable,
+  writeOutput,
+} = require("./lib/output");
+const { EXIT_ERROR, extractFailOn, applyFailOn } = require("./lib/fail-on");
+
+const COMPACT_HEADERS = [
+  "repo",
+  "github_found",
+  "github_archived",
+  "gitlab_path_with_namespace",
+  "gitlab_archived",
+  "result",
+];
+
+const FAIL_ON_CONDITIONS = [
+  "not_archived",
+  "not_found",
+  "missing_on_github",
+  "ambiguous",
+  "unknown",
+];
+
+function parseArgs(argv) {
+  const options = { file: "", names: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--file") {
+      options.file = argv[i + 1] || "";
+      i += 1;
+    } else if (arg.startsWith("--file=")) {
+      options.file = arg.slice("--file=".length);
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option '${arg}'.`);
+    } else {
+      options.names.push(arg);
+    }
   }
-  const raw = fs.readFileSync(envPath, "utf8");
-  raw
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter((line) => line && !line.startsWith("#"))
-    .forEach((line) => {
-      const eq = line.indexOf("=");
-      if (eq === -1) {
-        return;
-      }
-      const key = line.slice(0, eq).trim();
-      if (!key) {
-        return;
-      }
-      let value = line.slice(eq + 1).trim();
-      if (
-        (value.startsWith('"') && value.endsWith('"')) ||
-        (value.startsWith("'") && value.endsWith("'"))
-      ) {
-        value = value.slice(1, -1);
-      }
-      if (!Object.prototype.hasOwnProperty.call(process.env, key)) {
-        process.env[key] = value;
-      }
-    });
-}
-
-function runGh(args) {
-  return new Promise((resolve, reject) => {
-    execFile("gh", args, { encoding: "utf8" }, (error, stdout, stderr) => {
-      if (error) {
-        if (error.code === "ENOENT") {
-          reject(new Error("gh CLI not found in PATH."));
-          return;
-        }
-        const message = stderr ? stderr.trim() : error.message;
-        reject(new Error(`gh command failed: ${message}`));
-        return;
-      }
-      resolve(stdout);
-    });
-  });
+  return options;
 }
 
-async function fetchGithubRepo(org, name) {
-  const stdout = await runGh([
-    "repo",
-    "view",
-    `${org}/${name}`,
-    "--json",
-    "name,nameWithOwner,isArchived,visibility,url,sshUrl",
-  ]);
-  try {
-    return JSON.parse(stdout);
-  } catch (error) {
-    throw new Error("Failed to parse gh output as JSON.");
+function printSingle(row) {
+  console.log(`GitHub repo ${row.repo}:`);
+  if (row.github_found) {
+    console.log("  visibility:", row.github_visibility);
+    console.log("  archived:", row.github_archived);
+    console.log("  url:", row.github_url);
+  } else {
+    console.log("  repo not found on GitHub.");
   }
-}
 
-function gitlabGet(url, headers = {}) {
-  return new Promise((resolve, reject) => {
-    https
-      .get(
-        url,
-        { headers },
-        (res) => {
-          let data = "";
-          res.setEncoding("utf8");
-          res.on("data", (chunk) => {
-            data += chunk;
-          });
-          res.on("end", () => {
-            const status = res.statusCode || 0;
-            if (status >= 400) {
-              const error = new Error(
-                `GitLab request failed with status ${status}`,
-              );
-              error.statusCode = status;
-              error.body = data;
-              error.headers = res.headers;
-              reject(error);
-              return;
-            }
-            resolve({ body: data, headers: res.headers });
-          });
-        },
-      )
-      .on("error", (error) => reject(error));
-  });
-}
+  console.log(`\nGitLab project ${row.repo}:`);
+  if (row.result === "ambiguous") {
+    console.log(`  several projects match: ${row.gitlab_path_with_namespace}`);
+  } else if (!row.gitlab_found) {
+    console.log("  project not found in GitLab.");
+  } else {
+    console.log("  path:", row.gitlab_path_with_namespace);
+    console.log("  visibility:", row.gitlab_visibility);
+    console.log("  archived:", row.gitlab_archived);
+    console.log("  web_url:", row.gitlab_web_url);
+    console.log("  last_activity_at:", row.gitlab_last_activity_at);
+    console.log("  empty_repo:", row.gitlab_empty_repo);
+  }
 
-async function fetchGitlabProject(apiBase, token, groupPath, repoName) {
-  const fullPath = `${groupPath.replace(/\/$/, "")}/${repoName}`;
-  const encoded = encodeURIComponent(fullPath);
-  const url = `${apiBase}/projects/${encoded}`;
-  try {
-    const { body } = await gitlabGet(url, { "PRIVATE-TOKEN": token });
-    try {
-      return JSON.parse(body);
-    } catch (parseError) {
-      throw new Error("Failed to parse GitLab project response as JSON.");
-    }
-  } catch (error) {
-    if (error.statusCode === 404) {
-      return null;
-    }
-    throw new Error(
-      `GitLab request failed for project '${fullPath}': ${error.message}`,
+  if (row.result === "error") {
+    console.log(`\nResult: ERROR - ${row.error}`);
+  } else if (row.result === "archived") {
+    console.log("\nResult: OK - GitLab project is archived.");
+  } else if (row.result === "not_archived") {
+    console.log("\nResult: ATTENTION - GitLab project is NOT archived.");
+  } else if (row.result === "unknown") {
+    console.log(
+      `\nResult: UNKNOWN - GitLab archived flag is ${JSON.stringify(
+        row.gitlab_archived,
+      )}`,
     );
   }
 }
 
+const USAGE =
+  "Usage: node check_repo_status.js [--file <names.txt>] [--fail-on <conditions>] [--format csv|json|ndjson|table|markdown] <repo_name_without_org> ...";
+
 async function main() {
   loadEnv();
+  const config = resolveConfig();
 
-  const org = process.env.GITHUB_ORG || "batchnz";
-  const groupPath = process.env.GITLAB_GROUP_PATH || "batchnz/work";
-  const baseUrl = (process.env.GITLAB_URL || "https://gitlab.com").replace(
-    /\/$/,
-    "",
-  );
-  const apiBase = `${baseUrl}/api/v4`;
-  const token = process.env.GITLAB_TOKEN;
-
-  const [, , repoName] = process.argv;
-  if (!repoName) {
-    console.error(
-      "Usage: node js/check_repo_status.js <repo_name_without_org>",
-    );
+  let format;
+  let failOn;
+  let options;
+  try {
+    const extracted = extractFormat(process.argv.slice(2));
+    format = extracted.format;
+    const failOnExtracted = extractFailOn(extracted.args, FAIL_ON_CONDITIONS);
+    failOn = failOnExtracted.failOn;
+    options = parseArgs(failOnExtracted.args);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(USAGE);
     process.exit(1);
   }
-
-  if (!token) {
-    console.error("GITLAB_TOKEN missing. Set it before running this script.");
-    process.exit(1);
+  const names = options.names.slice();
+  if (options.file) {
+    names.push(...readNameList(options.file));
   }
-
-  console.log(`Checking GitHub repo ${org}/${repoName} ...`);
-  let github;
-  try {
-    github = await fetchGithubRepo(org, repoName);
-  } catch (error) {
-    console.error(`GitHub error: ${error.message}`);
+  if (names.length === 0) {
+    console.error(USAGE);
     process.exit(1);
   }
+  const logger = loggerFor(format);
+  const batch = names.length > 1;
 
-  console.log("  visibility:", github.visibility);
-  console.log("  archived:", github.isArchived);
-  console.log("  url:", github.url);
+  logger.log(
+    `Checking ${names.length} repo(s) in ${config.githubOrg} and under ${config.groupPath} ...`,
+  );
+  const { rows, counts } = await checkRepoStatuses(names, {
+    org: config.githubOrg,
+    gitlabUrl: config.gitlabUrl,
+    gitlabToken: config.gitlabToken,
+    githubToken: config.githubToken,
+    groupPath: config.groupPath,
+    overrides: loadMatchOverrides(config.matchOverridesPath),
+    concurrency: config.repoStatusConcurrency,
+    logger,
+  });
+  applyFailOn(
+    failOn,
+    {
+      ...counts,
+      missing_on_github: rows.filter((row) => !row.github_found).length,
+    },
+    logger,
+  );
+  // A check that could not run outranks any findings.
+  if (counts.error > 0) {
+    process.exitCode = EXIT_ERROR;
+  }
 
-  console.log(`\nChecking GitLab project ${groupPath}/${repoName} ...`);
-  let gitlab;
-  try {
-    gitlab = await fetchGitlabProject(apiBase, token, groupPath, repoName);
-  } catch (error) {
-    console.error(`GitLab error: ${error.message}`);
-    process.exit(1);
+  if (batch) {
+    writeCsv(config.repoStatusReportPath, REPO_STATUS_HEADERS, rows);
+    logger.log(`Wrote results to ${config.repoStatusReportPath}`);
   }
 
-  if (!gitlab) {
-    console.log("  project not found in GitLab.");
+  if (format) {
+    writeOutput(format, {
+      headers: REPO_STATUS_HEADERS,
+      rows,
+      summary: counts,
+    });
     return;
   }
 
-  console.log("  visibility:", gitlab.visibility);
-  console.log("  archived:", gitlab.archived);
-  console.log("  web_url:", gitlab.web_url);
-  console.log("  last_activity_at:", gitlab.last_activity_at);
-  console.log("  empty_repo:", gitlab.empty_repo);
+  if (!batch) {
+    printSingle(rows[0]);
+    return;
+  }
 
-  if (gitlab.archived === true) {
-    console.log("\nResult: OK - GitLab project is archived.");
-  } else if (gitlab.archived === false) {
-    console.log("\nResult: ATTENTION - GitLab project is NOT archived.");
-  } else {
-    console.log(
-      `\nResult: UNKNOWN - GitLab archived flag is ${JSON.stringify(
-        gitlab.archived,
-      )}`,
-    );
+  console.log(`\n${renderTable(COMPACT_HEADERS, rows)}`);
+  console.log(
+    `\nArchived: ${counts.archived}, not archived: ${counts.not_archived}, unknown: ${counts.unknown}, not found: ${counts.not_found}, ambiguous: ${counts.ambiguous}, errors: ${counts.error}`,
+  );
+  for (const row of rows.filter((item) => item.error)) {
+    console.log(`- ${row.repo}: ${row.error}`);
   }
 }
 
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const { writeCsv } = require("./lib/csv");
+const { readGithubReport, readGitlabReport } = require("./lib/reports");
+const { matchOptionsFromConfig, warnMatchIssues } = require("./lib/matching");
+const { extractFormat, loggerFor, writeOutput } = require("./lib/output");
+const {
+  SHA_PARITY_HEADERS,
+  SHA_PARITY_SAFE_STATUSES,
+  checkShaParity,
+} = require("./lib/sha-parity");
+const { extractFailOn, applyFailOn } = require("./lib/fail-on");
+
+const FAIL_ON_CONDITIONS = [
+  "incomplete",
+  "gitlab_ahead",
+  "diverged",
+  "empty",
+  "sha_error",
+  "missing_in_gitlab",
+];
+
+async function main() {
+  loadEnv();
+  const config = resolveConfig();
+  const { format, args } = extractFormat(process.argv.slice(2));
+  const { failOn } = extractFailOn(args, FAIL_ON_CONDITIONS);
+  const logger = loggerFor(format);
+  const githubPath = config.githubReportPath;
+  const gitlabPath = config.gitlabReportPath;
+  const outputPath = config.shaParityReportPath;
+
+  if (!config.gitlabToken) {
+    console.error("GITLAB_TOKEN missing. Set it before running this script.");
+    process.exit(1);
+  }
+
+  logger.log(`Loading GitHub report from ${githubPath}`);
+  const githubRecords = readGithubReport(githubPath);
+  logger.log(`Loaded ${githubRecords.length} GitHub repos.`);
+
+  logger.log(`Loading GitLab report from ${gitlabPath}`);
+  const gitlabRecords = readGitlabReport(gitlabPath);
+  logger.log(`Loaded ${gitlabRecords.length} GitLab projects.`);
+
+  const parity = await checkShaParity(githubRecords, gitlabRecords, {
+    gitlabUrl: config.gitlabUrl,
+    gitlabToken: config.gitlabToken,
+    githubToken: config.githubToken,
+    concurrency: config.shaConcurrency,
+    logger,
+    ...matchOptionsFromConfig(config),
+  });
+  const { rows, counts, missingInGitLab } = parity;
+  warnMatchIssues(parity, logger);
+
+  writeCsv(outputPath, SHA_PARITY_HEADERS, rows);
+  // The same statuses the archive gate and the ledger accept count as
+  // complete here; everything else still needs attention.
+  const attention = rows.filter(
+    (row) => !SHA_PARITY_SAFE_STATUSES.includes(row.status),
+  );
+  applyFailOn(
+    failOn,
+    {
+      incomplete: attention.length,
+      gitlab_ahead: counts.gitlab_ahead,
+      diverged: counts.diverged,
+      empty: (counts.github_empty || 0) + (counts.gitlab_empty || 0),
+      sha_error: counts.error,
+      missing_in_gitlab: missingInGitLab,
+    },
+    logger,
+  );
+
+  if (format) {
+    logger.log(`Wrote SHA parity report to ${outputPath}`);
+    writeOutput(format, {
+      headers: SHA_PARITY_HEADERS,
+      rows,
+      summary: {
+        compared: rows.length,
+        missing_in_gitlab: missingInGitLab,
+        ...counts,
+      },
+    });
+    return;
+  }
+
+  console.log(`\nWrote SHA parity report to ${outputPath}`);
+  console.log("\nSHA parity summary:");
+  console.log(`  Repos compared: ${rows.length}`);
+  console.log(`  Missing in GitLab: ${missingInGitLab}`);
+  console.log(`  Identical: ${counts.identical || 0}`);
+  console.log(`  GitHub ahead: ${counts.github_ahead || 0}`);
+  console.log(`  GitLab ahead: ${counts.gitlab_ahead || 0}`);
+  console.log(`  Diverged: ${counts.diverged || 0}`);
+  console.log(
+    `  Empty on one or both sides: ${
+      (counts.github_empty || 0) +
+      (counts.gitlab_empty || 0) +
+      (counts.both_empty || 0)
+    }`,
+  );
+  console.log(`  Errors: ${counts.error || 0}`);
+
+  if (attention.length > 0) {
+    console.log("\nRepos where the migration is not complete:");
+    for (const row of attention) {
+      const detail =
+        row.status === "error"
+          ? row.error
+          : `GitHub ${row.github_default_branch || "?"}@${
+              row.github_sha.slice(0, 12) || "none"
+            }, GitLab ${row.gitlab_default_branch || "?"}@${
+              row.gitlab_sha.slice(0, 12) || "none"
+            }`;
+      console.log(`- ${row.name} [${row.status}]: ${detail}`);
+    }
+  } else {
+    console.log("\nEvery matched repo has GitLab's default-branch HEAD on GitHub.");
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const { readGithubReport, readGitlabReport } = require("./lib/reports");
+const { matchOptionsFromConfig, warnMatchIssues } = require("./lib/matching");
+const { extractFormat, loggerFor, writeOutput } = require("./lib/output");
+const { VISIBILITY_HEADERS, checkVisibility } = require("./lib/visibility");
+const { extractFailOn, applyFailOn } = require("./lib/fail-on");
+
+const FAIL_ON_CONDITIONS = [
+  "visibility_mismatch",
+  "critical",
+  "high",
+  "medium",
+  "unknown_visibility",
+];
+
+// Exposed repos fail the check unless `--fail-on none` is given.
+const DEFAULT_FAIL_ON = ["visibility_mismatch"];
+
+async function main() {
+  loadEnv();
+  const config = resolveConfig();
+  const { format, args } = extractFormat(process.argv.slice(2));
+  const { failOn } = extractFailOn(args, FAIL_ON_CONDITIONS, DEFAULT_FAIL_ON);
+  const logger = loggerFor(format);
+  const githubPath = config.githubReportPath;
+  const gitlabPath = config.gitlabReportPath;
+
+  logger.log(`Loading GitHub report from ${githubPath}`);
+  const githubRecords = readGithubReport(githubPath);
+  logger.log(`Loaded ${githubRecords.length} GitHub repos.`);
+
+  logger.log(`Loading GitLab report from ${gitlabPath}`);
+  const gitlabRecords = readGitlabReport(gitlabPath);
+  logger.log(`Loaded ${gitlabRecords.length} GitLab projects.`);
+
+  const visibility = checkVisibility(
+    githubRecords,
+    gitlabRecords,
+    matchOptionsFromConfig(config),
+  );
+  const { findings, counts } = visibility;
+  warnMatchIssues(visibility, logger);
+  applyFailOn(
+    failOn,
+    {
+      visibility_mismatch: findings.length,
+      critical: counts.critical,
+      high: counts.high,
+      medium: counts.medium,
+      unknown_visibility: counts.unknown,
+    },
+    logger,
+  );
+
+  if (format) {
+    writeOutput(format, {
+      headers: VISIBILITY_HEADERS,
+      rows: findings,
+      summary: counts,
+    });
+    return;
+  }
+
+  console.log("\nVisibility summary:");
+  console.log(`  Repos compared: ${counts.compared}`);
+  console.log(`  Critical (private on GitLab, public on GitHub): ${counts.critical}`);
+  console.log(`  High (internal on GitLab, public on GitHub): ${counts.high}`);
+  console.log(`  Medium (private on GitLab, internal on GitHub): ${counts.medium}`);
+  console.log(`  Unknown visibility: ${counts.unknown}`);
+  console.log(`  Missing in GitLab: ${counts.missing_in_gitlab}`);
+  console.log(`  Ambiguous GitLab match: ${counts.ambiguous}`);
+
+  if (findings.length === 0) {
+    console.log("\nNo GitHub repos are more visible than their GitLab project.");
+    return;
+  }
+
+  console.log("\nRepos more visible on GitHub than on GitLab:");
+  for (const item of findings) {
+    console.log(
+      `- [${item.severity}] ${item.name}: GitLab ${item.gitlab_visibility} → GitHub ${item.github_visibility}, GH=${item.github_url}, GL=${item.gitlab_web_url}`,
+    );
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
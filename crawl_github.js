@@ -1,126 +1,78 @@
 #!/usr/bin/env node
 
-const fs = require("fs");
-const path = require("path");
-const { execFile } = require("child_process");
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const {
+  crawlGithub,
+  parseGithubColumns,
+  GITHUB_COLUMN_EXTRACTORS,
+} = require("./lib/github-crawl");
+const { toRow } = require("./lib/columns");
+const { extractFormat, loggerFor, writeOutput } = require("./lib/output");
 
-function loadEnv(envPath = path.join(process.cwd(), ".env")) {
-  if (!fs.existsSync(envPath)) {
-    return;
+function parseArgs(argv, config) {
+  const options = {
+    full: false,
+    columns: config.githubColumns,
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--full") {
+      options.full = true;
+    } else if (arg === "--columns") {
+      options.columns = argv[i + 1] || "";
+      i += 1;
+    } else if (arg.startsWith("--columns=")) {
+      options.columns = arg.slice("--columns=".length);
+    } else {
+      throw new Error(`Unknown option '${arg}'.`);
+    }
   }
-  const raw = fs.readFileSync(envPath, "utf8");
-  raw
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter((line) => line && !line.startsWith("#"))
-    .forEach((line) => {
-      const eq = line.indexOf("=");
-      if (eq === -1) {
-        return;
-      }
-      const key = line.slice(0, eq).trim();
-      if (!key) {
-        return;
-      }
-      let value = line.slice(eq + 1).trim();
-      if (
-        (value.startsWith('"') && value.endsWith('"')) ||
-        (value.startsWith("'") && value.endsWith("'"))
-      ) {
-        value = value.slice(1, -1);
-      }
-      if (!Object.prototype.hasOwnProperty.call(process.env, key)) {
-        process.env[key] = value;
-      }
-    });
-}
-
-function runGh(args) {
-  return new Promise((resolve, reject) => {
-    execFile("gh", args, { encoding: "utf8" }, (error, stdout, stderr) => {
-      if (error) {
-        if (error.code === "ENOENT") {
-          reject(new Error("gh CLI not found in PATH."));
-          return;
-        }
-        const message = stderr ? stderr.trim() : error.message;
-        reject(new Error(`gh command failed: ${message}`));
-        return;
-      }
-      resolve(stdout);
-    });
-  });
-}
-
-function writeCsv(pathname, headers, records) {
-  const rows = [headers.join(",")];
-  for (const record of records) {
-    const row = headers
-      .map((header) => stringifyCsvValue(record[header]))
-      .join(",");
-    rows.push(row);
-  }
-  fs.writeFileSync(pathname, `${rows.join("\n")}\n`, "utf8");
+  options.columns = parseGithubColumns(options.columns);
+  return options;
 }
 
-function stringifyCsvValue(value) {
-  if (value === undefined || value === null) {
-    return "";
-  }
-  const stringValue =
-    typeof value === "string" ? value : String(value);
-  if (/[",\n\r]/.test(stringValue)) {
-    return `"${stringValue.replace(/"/g, '""')}"`;
-  }
-  return stringValue;
-}
+async function main() {
+  loadEnv();
+  const config = resolveConfig();
 
-async function fetchGitHubRepos(org, limit) {
-  const stdout = await runGh([
-    "repo",
-    "list",
-    org,
-    "--json",
-    "name,nameWithOwner,isArchived,visibility,url,pushedAt",
-    "--limit",
-    String(limit),
-  ]);
+  let options;
+  let format;
   try {
-    return JSON.parse(stdout);
+    const extracted = extractFormat(process.argv.slice(2));
+    format = extracted.format;
+    options = parseArgs(extracted.args, config);
   } catch (error) {
-    throw new Error("Failed to parse gh output as JSON.");
+    console.error(`Error: ${error.message}`);
+    console.error(
+      "Usage: node crawl_github.js [--full] [--columns default|all|col1,col2] [--format csv|json|ndjson|table|markdown]",
+    );
+    process.exit(1);
   }
-}
-
-async function main() {
-  loadEnv();
-
-  const org = process.env.GITHUB_ORG || "batchnz";
-  const reportPath =
-    process.env.GITHUB_REPORT_PATH || "github_projects_report.csv";
-  const limitRaw = process.env.GITHUB_REPO_LIMIT || "1000";
-  const parsedLimit = parseInt(limitRaw, 10);
-  const limit = Number.isNaN(parsedLimit) ? 1000 : parsedLimit;
+  const logger = loggerFor(format);
 
-  console.log(`Fetching GitHub repos for org '${org}' via gh CLI...`);
-  const repos = await fetchGitHubRepos(org, limit);
-  console.log(`Fetched ${repos.length} GitHub repos.`);
-
-  const rows = repos.map((repo) => ({
-    name: repo.name,
-    name_with_owner: repo.nameWithOwner,
-    archived: repo.isArchived,
-    visibility: repo.visibility,
-    url: repo.url,
-    pushed_at: repo.pushedAt,
-  }));
+  const { repos, columns, outputPath, snapshotPath } = await crawlGithub({
+    ...options,
+    org: config.githubOrg,
+    token: config.githubToken,
+    limit: config.githubRepoLimit,
+    outputPath: config.githubReportPath,
+    cachePath: config.githubCachePath,
+    snapshotDir: config.snapshotDir,
+    logger,
+  });
+  logger.log(`Wrote GitHub report to ${outputPath}`);
+  if (snapshotPath) {
+    logger.log(`Saved snapshot ${snapshotPath}`);
+  }
 
-  writeCsv(
-    reportPath,
-    ["name", "name_with_owner", "archived", "visibility", "url", "pushed_at"],
-    rows,
-  );
-  console.log(`Wrote GitHub report to ${reportPath}`);
+  if (format) {
+    writeOutput(format, {
+      headers: columns,
+      rows: repos.map((repo) => toRow(repo, columns, GITHUB_COLUMN_EXTRACTORS)),
+      summary: { exported: repos.length },
+    });
+  }
 }
 
 main().catch((error) => {
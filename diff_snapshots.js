@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const { extractFormat, loggerFor, writeOutput } = require("./lib/output");
+const { extractFailOn, applyFailOn } = require("./lib/fail-on");
+const {
+  SNAPSHOT_SOURCES,
+  SNAPSHOT_DIFF_HEADERS,
+  SNAPSHOT_CHANGES,
+  listSnapshots,
+  loadSnapshot,
+  resolveSnapshot,
+  diffSnapshots,
+} = require("./lib/snapshots");
+
+function parseArgs(argv) {
+  const options = { sources: SNAPSHOT_SOURCES, refs: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    let source;
+    if (arg === "--source") {
+      source = argv[i + 1] || "";
+      i += 1;
+    } else if (arg.startsWith("--source=")) {
+      source = arg.slice("--source=".length);
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option '${arg}'.`);
+    } else {
+      options.refs.push(arg);
+      continue;
+    }
+    if (!SNAPSHOT_SOURCES.includes(source)) {
+      throw new Error(
+        `Unknown source '${source}'. Use ${SNAPSHOT_SOURCES.join(" or ")}.`,
+      );
+    }
+    options.sources = [source];
+  }
+  if (options.refs.length > 2) {
+    throw new Error("Pass at most two snapshots: <before> [after].");
+  }
+  return options;
+}
+
+// Explicit snapshot files decide the source themselves; otherwise each
+// requested source compares its previous snapshot with its latest one.
+function pickSnapshots(dir, options, logger) {
+  if (options.refs.length > 0) {
+    const before = loadSnapshot(options.refs[0]);
+    const after = loadSnapshot(
+      resolveSnapshot(dir, before.source, options.refs[1] || "latest"),
+    );
+    return [[before, after]];
+  }
+  const pairs = [];
+  for (const source of options.sources) {
+    if (options.sources.length > 1 && listSnapshots(dir, source).length < 2) {
+      logger.log(`Skipping ${source}: fewer than two snapshots in ${dir}.`);
+      continue;
+    }
+    pairs.push([
+      loadSnapshot(resolveSnapshot(dir, source, "previous")),
+      loadSnapshot(resolveSnapshot(dir, source, "latest")),
+    ]);
+  }
+  return pairs;
+}
+
+function describe(snapshot) {
+  const { meta = {} } = snapshot;
+  const scope = meta.group || meta.org || "?";
+  return `${snapshot.crawledAt} (${scope}, ${snapshot.items.length} items, v${
+    meta.toolVersion || "?"
+  })`;
+}
+
+async function main() {
+  loadEnv();
+  const config = resolveConfig();
+
+  let options;
+  let format;
+  let failOn;
+  try {
+    const extracted = extractFormat(process.argv.slice(2));
+    format = extracted.format;
+    const failOnExtracted = extractFailOn(extracted.args, SNAPSHOT_CHANGES);
+    failOn = failOnExtracted.failOn;
+    options = parseArgs(failOnExtracted.args);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(
+      "Usage: node diff_snapshots.js [--source gitlab|github] [--fail-on <changes>] [--format csv|json|ndjson|table|markdown] [<before.json> [<after.json>]]",
+    );
+    process.exit(1);
+  }
+  const logger = loggerFor(format);
+  const dir = config.snapshotDir;
+
+  const diffs = pickSnapshots(dir, options, logger).map(([before, after]) => ({
+    before,
+    after,
+    ...diffSnapshots(before, after),
+  }));
+  const rows = diffs.flatMap((diff) => diff.rows);
+  const counts = {};
+  for (const change of SNAPSHOT_CHANGES) {
+    counts[change] = diffs.reduce((sum, diff) => sum + diff.counts[change], 0);
+  }
+  applyFailOn(failOn, counts, logger);
+
+  if (format) {
+    writeOutput(format, {
+      headers: SNAPSHOT_DIFF_HEADERS,
+      rows,
+      summary: counts,
+    });
+    return;
+  }
+
+  if (diffs.length === 0) {
+    console.log(`\nNo snapshots to compare in ${dir}; run the crawlers twice.`);
+    return;
+  }
+  for (const diff of diffs) {
+    console.log(`\n${diff.source === "gitlab" ? "GitLab" : "GitHub"} changes`);
+    console.log(`  from ${describe(diff.before)}`);
+    console.log(`  to   ${describe(diff.after)}`);
+    console.log(
+      `  Added: ${diff.counts.added}, removed: ${diff.counts.removed}, renamed: ${diff.counts.renamed}, archived: ${diff.counts.archived}, unarchived: ${diff.counts.unarchived}, visibility changed: ${diff.counts.visibility_changed}, pushed: ${diff.counts.pushed}`,
+    );
+    for (const row of diff.rows) {
+      const detail =
+        row.before || row.after
+          ? `: ${row.before || "-"} → ${row.after || "-"}`
+          : "";
+      console.log(`- [${row.change}] ${row.name}${detail}`);
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,211 @@
+const errors = require("./lib/errors");
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const { parseCsv, readCsv, writeCsv, appendCsvRows } = require("./lib/csv");
+const {
+  readReport,
+  readGithubReport,
+  readGitlabReport,
+} = require("./lib/reports");
+const {
+  indexByName,
+  loadMatchOverrides,
+  matchProjects,
+} = require("./lib/matching");
+const {
+  gitlabApiBase,
+  gitlabRequest,
+  gitlabGet,
+  gitlabPost,
+  gitlabJson,
+  gitlabPaginate,
+  gitlabGraphql,
+} = require("./lib/gitlab");
+const {
+  resolveGithubToken,
+  githubRequest,
+  githubGet,
+  githubPaginate,
+  githubGraphql,
+  upsertIssueComment,
+} = require("./lib/github");
+const {
+  GITLAB_DEFAULT_COLUMNS,
+  GITLAB_COLUMN_EXTRACTORS,
+  crawlGitlab,
+} = require("./lib/gitlab-crawl");
+const {
+  GITHUB_DEFAULT_COLUMNS,
+  GITHUB_COLUMN_EXTRACTORS,
+  crawlGithub,
+} = require("./lib/github-crawl");
+const {
+  LEDGER_STATES,
+  LEDGER_HEADERS,
+  loadLedger,
+  saveLedger,
+  loadLedgerEvidence,
+  syncLedger,
+  advanceLedger,
+  setLedgerException,
+} = require("./lib/ledger");
+const {
+  SNAPSHOT_DIFF_HEADERS,
+  SNAPSHOT_CHANGES,
+  listSnapshots,
+  loadSnapshot,
+  diffSnapshots,
+} = require("./lib/snapshots");
+const {
+  ARCHIVE_STATUS_HEADERS,
+  compareArchiveStatus,
+} = require("./lib/archive-status");
+const {
+  SUGGESTION_HEADERS,
+  nameSimilarity,
+  suggestMappings,
+} = require("./lib/suggest-mappings");
+const {
+  RECONCILE_STATUSES,
+  RECONCILE_HEADERS,
+  reconcileProjects,
+} = require("./lib/reconcile");
+const {
+  DRIFT_SEVERITIES,
+  compareLastChanges,
+  formatDate,
+  formatNzDate,
+  driftSeverity,
+} = require("./lib/last-change");
+const { parseDuration, formatDuration } = require("./lib/duration");
+const {
+  LATE_PUSH_HEADERS,
+  groupLatePushesByAuthor,
+  findLatePushes,
+} = require("./lib/late-pushes");
+const { findLegacyProjects } = require("./lib/legacy");
+const { VISIBILITY_HEADERS, checkVisibility } = require("./lib/visibility");
+const { SHA_PARITY_HEADERS, checkShaParity } = require("./lib/sha-parity");
+const { VERIFY_REFS_HEADERS, verifyRefs } = require("./lib/verify-refs");
+const {
+  ARCHIVE_RESULTS_HEADERS,
+  selectArchiveCandidates,
+  loadArchiveEvidence,
+  archiveGitlabProjects,
+} = require("./lib/archive");
+const { OUTPUT_FORMATS, writeOutput } = require("./lib/output");
+const { EXIT_OK, EXIT_ERROR, EXIT_FINDINGS } = require("./lib/fail-on");
+const {
+  DASHBOARD_STATUSES,
+  buildDashboardData,
+  renderDashboardHtml,
+} = require("./lib/dashboard");
+const { markdownTable } = require("./lib/markdown");
+const {
+  REPORT_MARKER,
+  buildMarkdownReportData,
+  renderMarkdownReport,
+} = require("./lib/markdown-report");
+const {
+  REPO_STATUS_HEADERS,
+  fetchGithubRepo,
+  fetchGitlabProject,
+  findGitlabProject,
+  archiveState,
+  checkRepoStatuses,
+} = require("./lib/repo-status");
+
+module.exports = {
+  ...errors,
+  loadEnv,
+  resolveConfig,
+  parseCsv,
+  readCsv,
+  writeCsv,
+  appendCsvRows,
+  readReport,
+  readGithubReport,
+  readGitlabReport,
+  indexByName,
+  loadMatchOverrides,
+  matchProjects,
+  gitlabApiBase,
+  gitlabRequest,
+  gitlabGet,
+  gitlabPost,
+  gitlabJson,
+  gitlabPaginate,
+  gitlabGraphql,
+  resolveGithubToken,
+  githubRequest,
+  githubGet,
+  githubPaginate,
+  githubGraphql,
+  upsertIssueComment,
+  GITLAB_DEFAULT_COLUMNS,
+  GITLAB_COLUMN_EXTRACTORS,
+  crawlGitlab,
+  GITHUB_DEFAULT_COLUMNS,
+  GITHUB_COLUMN_EXTRACTORS,
+  crawlGithub,
+  SNAPSHOT_DIFF_HEADERS,
+  SNAPSHOT_CHANGES,
+  listSnapshots,
+  loadSnapshot,
+  diffSnapshots,
+  LEDGER_STATES,
+  LEDGER_HEADERS,
+  loadLedger,
+  saveLedger,
+  loadLedgerEvidence,
+  syncLedger,
+  advanceLedger,
+  setLedgerException,
+  ARCHIVE_STATUS_HEADERS,
+  compareArchiveStatus,
+  SUGGESTION_HEADERS,
+  nameSimilarity,
+  suggestMappings,
+  RECONCILE_STATUSES,
+  RECONCILE_HEADERS,
+  reconcileProjects,
+  DRIFT_SEVERITIES,
+  compareLastChanges,
+  formatDate,
+  formatNzDate,
+  driftSeverity,
+  parseDuration,
+  formatDuration,
+  LATE_PUSH_HEADERS,
+  groupLatePushesByAuthor,
+  findLatePushes,
+  findLegacyProjects,
+  VISIBILITY_HEADERS,
+  checkVisibility,
+  SHA_PARITY_HEADERS,
+  checkShaParity,
+  VERIFY_REFS_HEADERS,
+  verifyRefs,
+  ARCHIVE_RESULTS_HEADERS,
+  selectArchiveCandidates,
+  loadArchiveEvidence,
+  archiveGitlabProjects,
+  REPO_STATUS_HEADERS,
+  fetchGithubRepo,
+  fetchGitlabProject,
+  findGitlabProject,
+  archiveState,
+  checkRepoStatuses,
+  OUTPUT_FORMATS,
+  writeOutput,
+  EXIT_OK,
+  EXIT_ERROR,
+  EXIT_FINDINGS,
+  DASHBOARD_STATUSES,
+  buildDashboardData,
+  renderDashboardHtml,
+  markdownTable,
+  REPORT_MARKER,
+  buildMarkdownReportData,
+  renderMarkdownReport,
+};
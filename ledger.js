@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const { matchOptionsFromConfig, warnMatchIssues } = require("./lib/matching");
+const { extractFormat, loggerFor, writeOutput } = require("./lib/output");
+const {
+  LEDGER_STATES,
+  LEDGER_HEADERS,
+  loadLedger,
+  saveLedger,
+  loadLedgerEvidence,
+  syncLedger,
+  findLedgerEntry,
+  advanceLedger,
+  setLedgerException,
+  ledgerRows,
+  ledgerCounts,
+} = require("./lib/ledger");
+
+const SUBCOMMANDS = ["status", "sync", "advance", "except", "unexcept"];
+
+const ADVANCE_HEADERS = ["gitlab_id", "gitlab_path", "from", "to", "blocked_by"];
+
+const USAGE = `Usage: node ledger.js <command> [options]
+
+  status [--state <state>]           Show every project's state
+  sync                               Add newly crawled projects as not_started
+  advance [<id|path> ...]            Move projects forward while checks pass
+  except <id|path> --reason <text>   Mark a project as deliberately not migrated
+  unexcept <id|path>                 Clear a project's exception
+
+States: ${LEDGER_STATES.join(" -> ")}
+All commands accept --format csv|json|ndjson|table|markdown.`;
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  if (!SUBCOMMANDS.includes(command)) {
+    throw new Error(
+      command ? `Unknown command '${command}'.` : "Missing command.",
+    );
+  }
+  const options = { command, refs: [], reason: "", state: "" };
+  for (let i = 0; i < rest.length; i += 1) {
+    const arg = rest[i];
+    const match = arg.match(/^--(reason|state)(?:=(.*))?$/);
+    if (match) {
+      options[match[1]] = match[2] !== undefined ? match[2] : rest[i + 1] || "";
+      if (match[2] === undefined) {
+        i += 1;
+      }
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option '${arg}'.`);
+    } else {
+      options.refs.push(arg);
+    }
+  }
+  if (options.state && !LEDGER_STATES.includes(options.state)) {
+    throw new Error(
+      `Unknown state '${options.state}'. Use ${LEDGER_STATES.join(", ")}.`,
+    );
+  }
+  if (["except", "unexcept"].includes(command) && options.refs.length === 0) {
+    throw new Error(`'${command}' needs a GitLab project ID or path.`);
+  }
+  if (command === "except" && !options.reason) {
+    throw new Error("'except' needs --reason <text>.");
+  }
+  return options;
+}
+
+function printStatus(rows, counts) {
+  console.log("\nLedger summary:");
+  for (const state of LEDGER_STATES) {
+    console.log(`  ${state}: ${counts[state]}`);
+  }
+  console.log(`  with an exception: ${counts.exceptions}`);
+  if (rows.length === 0) {
+    return;
+  }
+  console.log("");
+  for (const row of rows) {
+    const exception = row.exception ? ` (exception: ${row.exception})` : "";
+    console.log(
+      `- ${row.gitlab_path} [${row.state}]${exception}, ${
+        row.github_name_with_owner || "no GitHub repo"
+      }, last changed ${row.updated_at || "never"} by ${
+        row.updated_by || "nobody"
+      }`,
+    );
+  }
+}
+
+async function main() {
+  loadEnv();
+  const config = resolveConfig();
+
+  let options;
+  let format;
+  try {
+    const extracted = extractFormat(process.argv.slice(2));
+    format = extracted.format;
+    options = parseArgs(extracted.args);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const logger = loggerFor(format);
+  const ledgerPath = config.ledgerPath;
+  const actor = config.ledgerActor;
+  const ledger = loadLedger(ledgerPath);
+
+  if (options.command === "status") {
+    const rows = ledgerRows(ledger).filter(
+      (row) => !options.state || row.state === options.state,
+    );
+    const counts = ledgerCounts(ledger);
+    if (format) {
+      writeOutput(format, { headers: LEDGER_HEADERS, rows, summary: counts });
+      return;
+    }
+    logger.log(`Ledger ${ledgerPath}`);
+    printStatus(rows, counts);
+    return;
+  }
+
+  if (options.command === "except" || options.command === "unexcept") {
+    const entries = options.refs.map((ref) => findLedgerEntry(ledger, ref));
+    for (const entry of entries) {
+      setLedgerException(
+        entry,
+        options.command === "except" ? options.reason : "",
+        actor,
+      );
+    }
+    saveLedger(ledgerPath, ledger);
+    const rows = ledgerRows({
+      projects: Object.fromEntries(entries.map((entry) => [entry.id, entry])),
+    });
+    if (format) {
+      writeOutput(format, { headers: LEDGER_HEADERS, rows });
+      return;
+    }
+    for (const row of rows) {
+      console.log(
+        row.exception
+          ? `${row.gitlab_path}: exception recorded (${row.exception})`
+          : `${row.gitlab_path}: no exception`,
+      );
+    }
+    return;
+  }
+
+  const evidence = loadLedgerEvidence({
+    snapshotDir: config.snapshotDir,
+    gitlabReportPath: config.gitlabReportPath,
+    githubReportPath: config.githubReportPath,
+    shaParityReportPath: config.shaParityReportPath,
+    refsReportPath: config.refsReportPath,
+    ...matchOptionsFromConfig(config),
+  });
+  logger.log(
+    `Using ${evidence.projects.length} GitLab projects from ${evidence.source}`,
+  );
+  warnMatchIssues(evidence, logger);
+  const synced = syncLedger(ledger, evidence, actor);
+  logger.log(
+    `Ledger sync: ${synced.added} added, ${synced.renamed} renamed, ${synced.gone} no longer crawled.`,
+  );
+
+  if (options.command === "sync") {
+    saveLedger(ledgerPath, ledger);
+    logger.log(`Wrote ${ledgerPath}`);
+    if (format) {
+      writeOutput(format, {
+        headers: LEDGER_HEADERS,
+        rows: ledgerRows(ledger),
+        summary: { ...synced, ...ledgerCounts(ledger) },
+      });
+    }
+    return;
+  }
+
+  const entries =
+    options.refs.length > 0
+      ? options.refs.map((ref) => findLedgerEntry(ledger, ref))
+      : Object.values(ledger.projects).filter((entry) =>
+          evidence.gitlabById.has(String(entry.id)),
+        );
+  const results = advanceLedger(ledger, evidence, entries, actor);
+  saveLedger(ledgerPath, ledger);
+  logger.log(`Wrote ${ledgerPath}`);
+  const moved = results.filter((result) => result.from !== result.to);
+  const counts = { checked: results.length, advanced: moved.length };
+
+  if (format) {
+    writeOutput(format, {
+      headers: ADVANCE_HEADERS,
+      rows: results,
+      summary: { ...counts, ...ledgerCounts(ledger) },
+    });
+    return;
+  }
+
+  console.log(`\nAdvanced ${moved.length} of ${results.length} projects:`);
+  for (const result of moved) {
+    console.log(`- ${result.gitlab_path}: ${result.from} -> ${result.to}`);
+  }
+  const blocked = results.filter((result) => result.blocked_by);
+  if (options.refs.length > 0) {
+    for (const result of blocked) {
+      console.log(
+        `- ${result.gitlab_path} stays ${result.to}: ${result.blocked_by}`,
+      );
+    }
+  } else if (blocked.length > 0) {
+    const reasons = new Map();
+    for (const result of blocked) {
+      reasons.set(result.blocked_by, (reasons.get(result.blocked_by) || 0) + 1);
+    }
+    console.log("\nProjects held back by:");
+    for (const [reason, count] of reasons) {
+      console.log(`  ${reason}: ${count}`);
+    }
+  }
+  printStatus([], ledgerCounts(ledger));
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,68 @@
+const { matchProjects } = require("./matching");
+
+const ARCHIVE_STATUS_HEADERS = [
+  "github_name",
+  "github_name_with_owner",
+  "github_archived",
+  "github_visibility",
+  "gitlab_path_with_namespace",
+  "gitlab_archived",
+  "status",
+];
+
+function isArchivedValue(value) {
+  const normalized = String(value).toLowerCase();
+  return normalized === "true" || normalized === "1";
+}
+
+// Lists GitHub repos whose matching GitLab project is still active. Both
+// inputs are crawl report records; `options` are passed to matchProjects.
+function compareArchiveStatus(githubRecords, gitlabRecords, options = {}) {
+  const { pairs, missingInGitLab, ambiguous, invalidOverrides } =
+    matchProjects(githubRecords, gitlabRecords, options);
+  const rows = [];
+  const counters = {
+    missing: missingInGitLab.length,
+    ambiguous: ambiguous.length,
+    archived: 0,
+    not_archived: 0,
+    total_github: pairs.length + missingInGitLab.length + ambiguous.length,
+  };
+
+  const sorted = [...pairs].sort((a, b) =>
+    a.name.toLowerCase().localeCompare(b.name.toLowerCase()),
+  );
+  for (const { github: ghRepo, gitlab: glProject } of sorted) {
+    if (isArchivedValue(glProject.archived)) {
+      counters.archived += 1;
+      continue;
+    }
+
+    counters.not_archived += 1;
+    rows.push({
+      github_name: ghRepo.name,
+      github_name_with_owner:
+        ghRepo.name_with_owner || ghRepo.nameWithOwner || "",
+      github_archived: ghRepo.archived || ghRepo.isArchived || "",
+      github_visibility: ghRepo.visibility || "",
+      gitlab_path_with_namespace: glProject.path_with_namespace || "",
+      gitlab_archived: glProject.archived,
+      status: "gitlab_not_archived",
+    });
+  }
+
+  return {
+    rows,
+    counters,
+    githubCount: counters.total_github,
+    gitlabCount: gitlabRecords.length,
+    ambiguous,
+    invalidOverrides,
+  };
+}
+
+module.exports = {
+  ARCHIVE_STATUS_HEADERS,
+  isArchivedValue,
+  compareArchiveStatus,
+};
@@ -0,0 +1,168 @@
+const fs = require("fs");
+const { readCsv } = require("./csv");
+const { gitlabApiBase, gitlabPost } = require("./gitlab");
+const { toDate } = require("./last-change");
+const { checkShaParityRow } = require("./sha-parity");
+const { silentLogger } = require("./logger");
+const { ConfigError } = require("./errors");
+
+const ARCHIVE_RESULTS_HEADERS = [
+  "github_name",
+  "gitlab_path_with_namespace",
+  "action",
+  "reason",
+];
+
+function indexBy(records, keyFn) {
+  const index = {};
+  for (const record of records) {
+    const key = (keyFn(record) || "").trim().toLowerCase();
+    if (key && !index[key]) {
+      index[key] = record;
+    }
+  }
+  return index;
+}
+
+// Keeps the archive-status rows still flagged gitlab_not_archived, limited
+// to `names` (GitHub names or GitLab paths) when any are given.
+function selectArchiveCandidates(rows, names = []) {
+  const wantedKeys = new Set(names.map((name) => name.toLowerCase()));
+  return rows.filter((row) => {
+    if (row.status && row.status !== "gitlab_not_archived") {
+      return false;
+    }
+    if (wantedKeys.size === 0) {
+      return true;
+    }
+    return (
+      wantedKeys.has((row.github_name || "").toLowerCase()) ||
+      wantedKeys.has((row.gitlab_path_with_namespace || "").toLowerCase())
+    );
+  });
+}
+
+// SHA parity is authoritative, but only for the commits GitLab had when it
+// ran (see checkShaParityRow). Timestamps are only consulted when the repo
+// has no SHA parity row. Without either signal nothing gets archived.
+function safetyCheck(row, evidence) {
+  const pathKey = (row.gitlab_path_with_namespace || "").toLowerCase();
+  const parity = evidence.parityByPath[pathKey];
+  const gitlabProject = evidence.gitlabByPath[pathKey];
+  if (parity) {
+    return checkShaParityRow(parity, gitlabProject);
+  }
+
+  const githubRepo = evidence.githubByName[(row.github_name || "").toLowerCase()];
+  if (!githubRepo || !gitlabProject) {
+    return { ok: false, reason: "no SHA parity or timestamp data" };
+  }
+  const gitlabDate = toDate(
+    gitlabProject.last_repository_updated_at || gitlabProject.last_activity_at,
+  );
+  const githubDate = toDate(githubRepo.pushed_at || githubRepo.pushedAt);
+  if (!githubDate || !gitlabDate) {
+    return { ok: false, reason: "timestamps missing" };
+  }
+  if (gitlabDate.getTime() > githubDate.getTime()) {
+    return { ok: false, reason: "timestamp=gitlab_newer" };
+  }
+  return { ok: true, reason: "timestamp=github_newer_or_equal" };
+}
+
+function loadArchiveEvidence(paths, logger = silentLogger) {
+  const evidence = { parityByPath: {}, githubByName: {}, gitlabByPath: {} };
+  if (fs.existsSync(paths.parity)) {
+    evidence.parityByPath = indexBy(
+      readCsv(paths.parity),
+      (record) => record.gitlab_path_with_namespace,
+    );
+    logger.log(`Using SHA parity results from ${paths.parity}`);
+  }
+  if (fs.existsSync(paths.github) && fs.existsSync(paths.gitlab)) {
+    evidence.githubByName = indexBy(readCsv(paths.github), (record) => record.name);
+    evidence.gitlabByPath = indexBy(
+      readCsv(paths.gitlab),
+      (record) => record.path_with_namespace,
+    );
+    logger.log(`Using timestamps from ${paths.github} and ${paths.gitlab}`);
+  }
+  return evidence;
+}
+
+async function archiveProject(apiBase, token, pathWithNamespace) {
+  const url = `${apiBase}/projects/${encodeURIComponent(pathWithNamespace)}/archive`;
+  await gitlabPost(url, { "PRIVATE-TOKEN": token });
+}
+
+// Plans (or, with `options.confirm`, performs) the archive of every
+// candidate that passes the safety check. Archive failures are recorded in
+// the results rather than thrown.
+async function archiveGitlabProjects(candidates, evidence, options = {}) {
+  const logger = options.logger || silentLogger;
+  if (options.confirm && !options.gitlabToken) {
+    throw new ConfigError(
+      "GITLAB_TOKEN missing. Set it before running this script.",
+    );
+  }
+  const apiBase = gitlabApiBase(options.gitlabUrl);
+  const results = [];
+
+  for (const row of candidates) {
+    const result = {
+      github_name: row.github_name,
+      gitlab_path_with_namespace: row.gitlab_path_with_namespace,
+      action: "",
+      reason: "",
+    };
+    results.push(result);
+
+    if (!row.gitlab_path_with_namespace) {
+      result.action = "skipped";
+      result.reason = "no GitLab path in report";
+      continue;
+    }
+
+    const safety = safetyCheck(row, evidence);
+    result.reason = safety.reason;
+    if (!safety.ok) {
+      result.action = "skipped";
+      continue;
+    }
+
+    if (!options.confirm) {
+      result.action = "planned";
+      continue;
+    }
+
+    try {
+      await archiveProject(
+        apiBase,
+        options.gitlabToken,
+        row.gitlab_path_with_namespace,
+      );
+      result.action = "archived";
+      logger.log(`  Archived ${row.gitlab_path_with_namespace}`);
+    } catch (error) {
+      result.action = "failed";
+      result.reason = error.message;
+      logger.warn(
+        `  Failed to archive ${row.gitlab_path_with_namespace}: ${error.message}`,
+      );
+    }
+  }
+
+  const counts = {};
+  for (const result of results) {
+    counts[result.action] = (counts[result.action] || 0) + 1;
+  }
+  return { results, counts };
+}
+
+module.exports = {
+  ARCHIVE_RESULTS_HEADERS,
+  selectArchiveCandidates,
+  safetyCheck,
+  loadArchiveEvidence,
+  archiveGitlabProjects,
+};
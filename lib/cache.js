@@ -0,0 +1,41 @@
+const fs = require("fs");
+const path = require("path");
+
+// Clock skew, in-flight pushes and GitLab only bumping last_activity_at once
+// an hour can make the remote's activity timestamps lag behind our own
+// clock, so incremental crawls look back an hour further.
+const CACHE_OVERLAP_MS = 60 * 60 * 1000;
+
+function loadCache(pathname, scope, logger) {
+  if (!fs.existsSync(pathname)) {
+    return null;
+  }
+  try {
+    const cache = JSON.parse(fs.readFileSync(pathname, "utf8"));
+    return cache.scope === scope ? cache : null;
+  } catch (error) {
+    logger.warn(`Warning: ignoring unreadable cache ${pathname}: ${error.message}`);
+    return null;
+  }
+}
+
+function saveCache(pathname, scope, crawledAt, items) {
+  fs.mkdirSync(path.dirname(pathname), { recursive: true });
+  const tmpPath = `${pathname}.tmp`;
+  fs.writeFileSync(
+    tmpPath,
+    JSON.stringify({ scope, crawledAt, items }),
+    "utf8",
+  );
+  fs.renameSync(tmpPath, pathname);
+}
+
+function cacheSince(cache) {
+  const crawledAt = new Date(cache.crawledAt);
+  if (Number.isNaN(crawledAt.getTime())) {
+    return null;
+  }
+  return new Date(crawledAt.getTime() - CACHE_OVERLAP_MS).toISOString();
+}
+
+module.exports = { CACHE_OVERLAP_MS, loadCache, saveCache, cacheSince };
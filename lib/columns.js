@@ -0,0 +1,39 @@
+const { ConfigError } = require("./errors");
+
+// Accepts "default", "all" or a comma-separated list of column names;
+// "default" keeps the columns the analysis scripts were written against.
+function parseColumns(value, extractors, defaults) {
+  if (Array.isArray(value)) {
+    return parseColumns(value.join(","), extractors, defaults);
+  }
+  const raw = (value || "default").trim();
+  if (raw === "default") {
+    return defaults.slice();
+  }
+  if (raw === "all") {
+    return Object.keys(extractors);
+  }
+  const columns = raw
+    .split(",")
+    .map((column) => column.trim())
+    .filter(Boolean);
+  const unknown = columns.filter((column) => !extractors[column]);
+  if (unknown.length > 0) {
+    throw new ConfigError(
+      `Unknown column(s): ${unknown.join(", ")}. Available: ${Object.keys(
+        extractors,
+      ).join(", ")}`,
+    );
+  }
+  return columns;
+}
+
+function toRow(item, columns, extractors) {
+  const row = {};
+  for (const column of columns) {
+    row[column] = extractors[column](item);
+  }
+  return row;
+}
+
+module.exports = { parseColumns, toRow };
@@ -0,0 +1,37 @@
+// Runs `fn` over `items` with at most `concurrency` calls in flight and
+// returns the results in input order.
+async function mapConcurrent(items, concurrency, fn, onProgress) {
+  const results = new Array(items.length);
+  let index = 0;
+  let done = 0;
+
+  async function worker() {
+    while (true) {
+      const currentIndex = index;
+      index += 1;
+      if (currentIndex >= items.length) {
+        return;
+      }
+      results[currentIndex] = await fn(items[currentIndex], currentIndex);
+      done += 1;
+      if (onProgress) {
+        onProgress(done, items.length);
+      }
+    }
+  }
+
+  const workers = [];
+  const workerCount = Math.min(Math.max(concurrency, 1), items.length);
+  for (let i = 0; i < workerCount; i += 1) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+function clampConcurrency(value, fallback, max) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 1 ? fallback : Math.min(parsed, max);
+}
+
+module.exports = { mapConcurrent, clampConcurrency };
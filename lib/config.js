@@ -0,0 +1,84 @@
+const path = require("path");
+const { gitlabApiBase } = require("./gitlab");
+const { ConfigError } = require("./errors");
+const { DEFAULT_TIME_ZONE, DEFAULT_LOCALE } = require("./last-change");
+
+function readInt(value, fallback) {
+  const parsed = parseInt(value || "", 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+// Resolves every setting the scripts read from the environment, with the
+// defaults they have always used. Library callers can pass their own `env`.
+// Display and drift settings are kept as given and only validated by the
+// commands that use them (see displayOptionsFromConfig and
+// driftOptionsFromConfig), so a bad value cannot break unrelated commands.
+function resolveConfig(env = process.env) {
+  const gitlabUrl = (env.GITLAB_URL || "https://gitlab.com").replace(/\/$/, "");
+  return {
+    gitlabUrl,
+    gitlabApiBase: gitlabApiBase(gitlabUrl),
+    gitlabToken: env.GITLAB_TOKEN || "",
+    groupPath: env.GITLAB_GROUP_PATH || "batchnz/work",
+    legacyGroupPath: env.GITLAB_LEGACY_GROUP_PATH || "batchnz/work/legacy",
+    githubOrg: env.GITHUB_ORG || "batchnz",
+    githubToken: env.GITHUB_TOKEN || env.GH_TOKEN || "",
+    githubRepoLimit: readInt(env.GITHUB_REPO_LIMIT, 0),
+    githubReportPath: env.GITHUB_REPORT_PATH || "github_projects_report.csv",
+    gitlabReportPath: env.GITLAB_REPORT_PATH || "gitlab_projects_report.csv",
+    archiveReportPath:
+      env.GITHUB_GITLAB_REPORT || "github_gitlab_archive_report.csv",
+    shaParityReportPath: env.SHA_PARITY_REPORT_PATH || "sha_parity_report.csv",
+    refsReportPath:
+      env.VERIFY_REFS_REPORT_PATH || "refs_verification_report.csv",
+    archiveResultsPath:
+      env.GITLAB_ARCHIVE_RESULTS_PATH || "gitlab_archive_results.csv",
+    matchOverridesPath: env.MATCH_OVERRIDES_PATH || "match_overrides.json",
+    suggestionsPath:
+      env.MAPPING_SUGGESTIONS_PATH || "mapping_suggestions.csv",
+    repoStatusReportPath:
+      env.REPO_STATUS_REPORT_PATH || "repo_status_report.csv",
+    latePushesReportPath:
+      env.LATE_PUSHES_REPORT_PATH || "late_gitlab_pushes.csv",
+    reconcileReportPath:
+      env.RECONCILE_REPORT_PATH || "reconciliation_report.csv",
+    snapshotDir: env.SNAPSHOT_DIR ?? "snapshots",
+    ledgerPath: env.MIGRATION_LEDGER_PATH || "migration_ledger.json",
+    ledgerActor: env.LEDGER_ACTOR || env.USER || env.USERNAME || "unknown",
+    dashboardPath: env.DASHBOARD_PATH || "migration_dashboard.html",
+    displayTimeZone: env.DISPLAY_TIME_ZONE || DEFAULT_TIME_ZONE,
+    displayLocale: env.DISPLAY_LOCALE || DEFAULT_LOCALE,
+    driftTolerance: env.DRIFT_TOLERANCE || "0",
+    driftHoursAfter: env.DRIFT_HOURS_AFTER || "1h",
+    driftDaysAfter: env.DRIFT_DAYS_AFTER || "1d",
+    driftWeeksAfter: env.DRIFT_WEEKS_AFTER || "7d",
+    reportIssue: readInt(env.MIGRATION_ISSUE, 0),
+    reportIssueRepo: env.MIGRATION_ISSUE_REPO || "",
+    gitlabBackend: (env.GITLAB_CRAWL_BACKEND || "rest").toLowerCase(),
+    gitlabColumns: env.GITLAB_REPORT_COLUMNS || "default",
+    githubColumns: env.GITHUB_REPORT_COLUMNS || "default",
+    checkpointPath:
+      env.GITLAB_CHECKPOINT_PATH || "gitlab_crawl_checkpoint.json",
+    gitlabCachePath:
+      env.GITLAB_CACHE_PATH || path.join(".crawl_cache", "gitlab_projects.json"),
+    githubCachePath:
+      env.GITHUB_CACHE_PATH || path.join(".crawl_cache", "github_repos.json"),
+    detailConcurrency: readInt(env.GITLAB_DETAIL_CONCURRENCY, 8),
+    graphqlPageSize: readInt(env.GITLAB_GRAPHQL_PAGE_SIZE, 20),
+    shaConcurrency: readInt(env.SHA_CHECK_CONCURRENCY, 4),
+    refsConcurrency: readInt(env.VERIFY_REFS_CONCURRENCY, 4),
+    latePushConcurrency: readInt(env.LATE_PUSH_CONCURRENCY, 4),
+    repoStatusConcurrency: readInt(env.REPO_STATUS_CONCURRENCY, 4),
+  };
+}
+
+function requireGitlabToken(config) {
+  if (!config.gitlabToken) {
+    throw new ConfigError(
+      "GITLAB_TOKEN not found. Create a .env file and add GITLAB_TOKEN=your_token",
+    );
+  }
+  return config.gitlabToken;
+}
+
+module.exports = { resolveConfig, requireGitlabToken };
@@ -0,0 +1,188 @@
+const fs = require("fs");
+const { ConfigError } = require("./errors");
+
+function stringifyCsvValue(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  const stringValue =
+    typeof value === "string" ? value : String(value);
+  if (/[",\n\r]/.test(stringValue)) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+  return stringValue;
+}
+
+function writeCsv(pathname, headers, records) {
+  const rows = [headers.join(",")];
+  for (const record of records) {
+    const row = headers
+      .map((header) => stringifyCsvValue(record[header]))
+      .join(",");
+    rows.push(row);
+  }
+  fs.writeFileSync(pathname, `${rows.join("\n")}\n`, "utf8");
+}
+
+function appendCsvRows(pathname, headers, records) {
+  if (records.length === 0) {
+    return;
+  }
+  const rows = records.map((record) =>
+    headers.map((header) => stringifyCsvValue(record[header])).join(","),
+  );
+  fs.appendFileSync(pathname, `${rows.join("\n")}\n`, "utf8");
+}
+
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"') {
+        const next = content[i + 1];
+        if (next === '"') {
+          cell += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\r" || char === "\n") {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+      if (char === "\r" && content[i + 1] === "\n") {
+        i += 1;
+      }
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell.length > 0 || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  if (
+    rows.length > 0 &&
+    rows[rows.length - 1].length === 1 &&
+    rows[rows.length - 1][0] === ""
+  ) {
+    rows.pop();
+  }
+
+  return rows;
+}
+
+function toCellValue(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function parseNdjsonRecords(content) {
+  return content
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new ConfigError(
+          `JSON report is neither a JSON document nor NDJSON (record ${
+            index + 1
+          }: ${error.message}).`,
+          { cause: error },
+        );
+      }
+    })
+    .filter(
+      (record) =>
+        !(record && Object.prototype.hasOwnProperty.call(record, "summary")),
+    );
+}
+
+// Accepts a JSON array of records, a `--format json` document
+// (`{ summary, rows }`) or NDJSON, where a trailing `{ "summary": ... }`
+// line is skipped. One-line NDJSON (a single record, or only the summary
+// when there were no rows) parses as a whole document too, so any object
+// without a `rows` array is read as NDJSON. Values are stringified so
+// records look like CSV rows.
+function parseJsonRecords(content) {
+  const trimmed = content.trim();
+  let parsed;
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch (error) {
+    parsed = undefined;
+  }
+  let records;
+  if (Array.isArray(parsed)) {
+    records = parsed;
+  } else if (parsed && Array.isArray(parsed.rows)) {
+    records = parsed.rows;
+  } else {
+    records = parseNdjsonRecords(trimmed);
+  }
+  if (records.some((record) => !record || typeof record !== "object")) {
+    throw new ConfigError(
+      "JSON report must be an array of records, contain a 'rows' array or be NDJSON.",
+    );
+  }
+  return records.map((record) => {
+    const normalized = {};
+    for (const [key, value] of Object.entries(record)) {
+      normalized[key] = toCellValue(value);
+    }
+    return normalized;
+  });
+}
+
+function readCsv(pathname) {
+  const raw = fs.readFileSync(pathname, "utf8");
+  if (/^\s*[[{]/.test(raw)) {
+    try {
+      return parseJsonRecords(raw);
+    } catch (error) {
+      throw new ConfigError(`'${pathname}': ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+  const rows = parseCsv(raw);
+  if (rows.length === 0) {
+    return [];
+  }
+  const headers = rows[0];
+  return rows.slice(1).map((cells) => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = cells[index] ?? "";
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  stringifyCsvValue,
+  writeCsv,
+  appendCsvRows,
+  parseCsv,
+  parseJsonRecords,
+  readCsv,
+};
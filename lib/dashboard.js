@@ -0,0 +1,426 @@
+const { matchProjects, nameKey } = require("./matching");
+const { compareArchiveStatus, isArchivedValue } = require("./archive-status");
+const {
+  DEFAULT_TIME_ZONE,
+  compareLastChanges,
+  formatDate,
+} = require("./last-change");
+const { findLegacyProjects } = require("./legacy");
+
+const DASHBOARD_STATUSES = {
+  migrated: {
+    label: "Migrated",
+    colour: "#2e7d32",
+    description: "On GitHub and archived on GitLab",
+  },
+  ready_to_archive: {
+    label: "Ready to archive",
+    colour: "#f9a825",
+    description: "On GitHub and up to date, GitLab still active",
+  },
+  gitlab_newer: {
+    label: "GitLab newer",
+    colour: "#ef6c00",
+    description: "On GitHub, but GitLab changed more recently",
+  },
+  not_migrated: {
+    label: "Not migrated",
+    colour: "#c62828",
+    description: "Active on GitLab with no GitHub repo",
+  },
+  ambiguous: {
+    label: "Ambiguous match",
+    colour: "#6a1b9a",
+    description: "Shares its name with other projects; resolve via overrides",
+  },
+  archived_not_migrated: {
+    label: "Archived, not migrated",
+    colour: "#757575",
+    description: "Archived on GitLab with no GitHub repo",
+  },
+};
+
+const DASHBOARD_HEADERS = [
+  "name",
+  "namespace",
+  "status",
+  "legacy",
+  "gitlab_path_with_namespace",
+  "gitlab_archived",
+  "gitlab_updated_at",
+  "gitlab_web_url",
+  "github_name_with_owner",
+  "github_pushed_at",
+  "github_url",
+];
+
+function namespaceOf(pathWithNamespace) {
+  const parts = String(pathWithNamespace || "").split("/");
+  return parts.length > 1 ? parts.slice(0, -1).join("/") : "";
+}
+
+function projectStatus(project, repo, lastChange, ambiguous) {
+  if (ambiguous) {
+    return "ambiguous";
+  }
+  const archived = isArchivedValue(project.archived);
+  if (!repo) {
+    return archived ? "archived_not_migrated" : "not_migrated";
+  }
+  if (archived) {
+    return "migrated";
+  }
+  if (lastChange && lastChange.status === "gitlab_newer") {
+    return "gitlab_newer";
+  }
+  return "ready_to_archive";
+}
+
+function countByStatus(projects) {
+  const counts = {};
+  for (const status of Object.keys(DASHBOARD_STATUSES)) {
+    counts[status] = 0;
+  }
+  for (const project of projects) {
+    counts[project.status] += 1;
+  }
+  return counts;
+}
+
+// Joins both crawl reports with the last-change, archive-status and legacy
+// analyses into one row per GitLab project, plus totals and per-namespace
+// status counts.
+function buildDashboardData(githubRecords, gitlabRecords, options = {}) {
+  const matched = matchProjects(githubRecords, gitlabRecords, options);
+  const githubByProject = new Map(
+    matched.pairs.map((pair) => [pair.gitlab, pair.github]),
+  );
+  const ambiguousProjects = new Set(
+    matched.ambiguous.flatMap((entry) => entry.candidates),
+  );
+  const { results } = compareLastChanges(githubRecords, gitlabRecords, options);
+  const lastChangeByPath = {};
+  for (const result of results) {
+    lastChangeByPath[result.gitlabPath] = result;
+  }
+  const archiveStatus = compareArchiveStatus(
+    githubRecords,
+    gitlabRecords,
+    options,
+  );
+  const legacy = findLegacyProjects(
+    githubRecords,
+    gitlabRecords,
+    options.legacyGroupPath,
+    options,
+  );
+  const legacyPaths = new Set(
+    legacy.legacyProjects.map((project) => project.path_with_namespace),
+  );
+
+  const projects = gitlabRecords
+    .filter((project) => nameKey(project))
+    .map((project) => {
+      const repo = githubByProject.get(project);
+      const lastChange = repo && lastChangeByPath[project.path_with_namespace];
+      return {
+        name: project.name,
+        namespace: namespaceOf(project.path_with_namespace),
+        status: projectStatus(
+          project,
+          repo,
+          lastChange,
+          ambiguousProjects.has(project),
+        ),
+        legacy: legacyPaths.has(project.path_with_namespace),
+        gitlab_path_with_namespace: project.path_with_namespace || "",
+        gitlab_archived: isArchivedValue(project.archived),
+        gitlab_updated_at:
+          project.last_repository_updated_at || project.last_activity_at || "",
+        gitlab_web_url: project.web_url || "",
+        github_name_with_owner: repo
+          ? repo.name_with_owner || repo.nameWithOwner || ""
+          : "",
+        github_pushed_at: repo ? repo.pushed_at || repo.pushedAt || "" : "",
+        github_url: repo ? repo.url || "" : "",
+      };
+    })
+    .sort((a, b) =>
+      a.gitlab_path_with_namespace.localeCompare(b.gitlab_path_with_namespace),
+    );
+
+  const byNamespace = {};
+  for (const project of projects) {
+    if (!byNamespace[project.namespace]) {
+      byNamespace[project.namespace] = [];
+    }
+    byNamespace[project.namespace].push(project);
+  }
+  const namespaces = Object.keys(byNamespace)
+    .sort()
+    .map((namespace) => ({
+      namespace,
+      total: byNamespace[namespace].length,
+      counts: countByStatus(byNamespace[namespace]),
+    }));
+
+  const counts = countByStatus(projects);
+  return {
+    generatedAt: options.generatedAt || new Date().toISOString(),
+    projects,
+    namespaces,
+    totals: {
+      gitlab_projects: projects.length,
+      github_repos: githubRecords.length,
+      ...counts,
+      gitlab_not_archived_on_github: archiveStatus.counters.not_archived,
+      legacy_projects: legacy.legacyProjects.length,
+      legacy_missing_from_github: legacy.missing.length,
+    },
+  };
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function link(url, text) {
+  if (!url) {
+    return escapeHtml(text);
+  }
+  return `<a href="${escapeHtml(url)}">${escapeHtml(text || url)}</a>`;
+}
+
+function statusBadge(status) {
+  const info = DASHBOARD_STATUSES[status];
+  return `<span class="badge" style="background:${info.colour}">${escapeHtml(
+    info.label,
+  )}</span>`;
+}
+
+function progressBar(total, counts) {
+  const segments = Object.entries(DASHBOARD_STATUSES)
+    .filter(([status]) => counts[status] > 0)
+    .map(([status, info]) => {
+      const width = ((counts[status] / total) * 100).toFixed(2);
+      return `<span style="width:${width}%;background:${info.colour}" title="${escapeHtml(
+        `${info.label}: ${counts[status]}`,
+      )}"></span>`;
+    });
+  return `<div class="bar">${segments.join("")}</div>`;
+}
+
+function totalsSection(totals) {
+  const cards = [
+    ["GitLab projects", totals.gitlab_projects],
+    ["GitHub repos", totals.github_repos],
+    ...Object.entries(DASHBOARD_STATUSES).map(([status, info]) => [
+      info.label,
+      totals[status],
+      info.colour,
+    ]),
+    ["Legacy projects", totals.legacy_projects],
+    ["Legacy missing from GitHub", totals.legacy_missing_from_github],
+  ];
+  return cards
+    .map(
+      ([label, value, colour]) =>
+        `<div class="card"${
+          colour ? ` style="border-top-color:${colour}"` : ""
+        }><div class="value">${escapeHtml(value)}</div><div>${escapeHtml(
+          label,
+        )}</div></div>`,
+    )
+    .join("\n");
+}
+
+function namespaceRows(namespaces) {
+  return namespaces
+    .map(({ namespace, total, counts }) => {
+      const done = counts.migrated;
+      const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+      return `<tr><td>${escapeHtml(namespace || "(root)")}</td><td class="num">${done}/${total} (${percent}%)</td><td>${progressBar(
+        total,
+        counts,
+      )}</td></tr>`;
+    })
+    .join("\n");
+}
+
+// Shown in the display time zone; the raw ISO timestamp stays in data-sort
+// so the column still sorts chronologically.
+function dateCell(value, options) {
+  if (!value) {
+    return "<td></td>";
+  }
+  return `<td data-sort="${escapeHtml(value)}">${escapeHtml(
+    formatDate(value, options),
+  )}</td>`;
+}
+
+function projectRows(projects, options) {
+  return projects
+    .map(
+      (project) => `<tr data-status="${project.status}">
+<td>${escapeHtml(project.name)}</td>
+<td>${escapeHtml(project.namespace)}</td>
+<td data-sort="${project.status}">${statusBadge(project.status)}</td>
+<td>${project.legacy ? "yes" : ""}</td>
+<td>${project.gitlab_archived ? "yes" : "no"}</td>
+${dateCell(project.gitlab_updated_at, options)}
+${dateCell(project.github_pushed_at, options)}
+<td>${link(project.gitlab_web_url, project.gitlab_path_with_namespace)}</td>
+<td>${link(project.github_url, project.github_name_with_owner)}</td>
+</tr>`,
+    )
+    .join("\n");
+}
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #222; }
+h1 { margin-bottom: 0.2rem; }
+.muted { color: #666; }
+.cards { display: flex; flex-wrap: wrap; gap: 0.75rem; margin: 1rem 0 2rem; }
+.card { border: 1px solid #ddd; border-top: 4px solid #1565c0; border-radius: 4px; padding: 0.6rem 1rem; min-width: 8rem; }
+.card .value { font-size: 1.6rem; font-weight: bold; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+th, td { border-bottom: 1px solid #eee; padding: 0.35rem 0.5rem; text-align: left; font-size: 0.9rem; }
+th { background: #f5f5f5; position: sticky; top: 0; }
+#projects th { cursor: pointer; user-select: none; }
+#projects th.asc::after { content: " \\25B2"; }
+#projects th.desc::after { content: " \\25BC"; }
+td.num { white-space: nowrap; }
+.bar { display: flex; height: 14px; min-width: 200px; background: #eee; border-radius: 3px; overflow: hidden; }
+.bar span { display: block; height: 100%; }
+.badge { color: #fff; border-radius: 3px; padding: 0.1rem 0.4rem; font-size: 0.8rem; white-space: nowrap; }
+.filters { margin-bottom: 0.75rem; display: flex; gap: 0.75rem; }
+.filters input { flex: 1; max-width: 24rem; padding: 0.3rem; }
+.legend span { margin-right: 1rem; }
+`;
+
+// Sorting compares data-sort (or the cell text) numerically when both sides
+// are numbers; ISO timestamps sort correctly as plain strings.
+const SCRIPT = `
+(function () {
+  var table = document.getElementById("projects");
+  var body = table.tBodies[0];
+  var search = document.getElementById("search");
+  var statusFilter = document.getElementById("status");
+
+  function cellValue(row, index) {
+    var cell = row.cells[index];
+    return (cell.getAttribute("data-sort") || cell.textContent).trim().toLowerCase();
+  }
+
+  Array.prototype.forEach.call(table.tHead.rows[0].cells, function (th, index) {
+    th.addEventListener("click", function () {
+      var desc = th.classList.contains("asc");
+      Array.prototype.forEach.call(th.parentNode.cells, function (other) {
+        other.classList.remove("asc", "desc");
+      });
+      th.classList.add(desc ? "desc" : "asc");
+      var rows = Array.prototype.slice.call(body.rows);
+      rows.sort(function (a, b) {
+        var x = cellValue(a, index);
+        var y = cellValue(b, index);
+        var nx = Number(x);
+        var ny = Number(y);
+        var result = x !== "" && y !== "" && !isNaN(nx) && !isNaN(ny)
+          ? nx - ny
+          : x.localeCompare(y);
+        return desc ? -result : result;
+      });
+      rows.forEach(function (row) { body.appendChild(row); });
+    });
+  });
+
+  function applyFilters() {
+    var text = search.value.trim().toLowerCase();
+    var status = statusFilter.value;
+    var shown = 0;
+    Array.prototype.forEach.call(body.rows, function (row) {
+      var visible = (!status || row.getAttribute("data-status") === status) &&
+        (!text || row.textContent.toLowerCase().indexOf(text) !== -1);
+      row.style.display = visible ? "" : "none";
+      if (visible) { shown += 1; }
+    });
+    document.getElementById("shown").textContent = shown;
+  }
+
+  search.addEventListener("input", applyFilters);
+  statusFilter.addEventListener("change", applyFilters);
+})();
+`;
+
+// Renders the dashboard as a single HTML document with inline CSS and JS,
+// so it can be attached to a ticket or opened offline.
+function renderDashboardHtml(data, options = {}) {
+  const title = options.title || "GitLab → GitHub migration dashboard";
+  const statusOptions = Object.entries(DASHBOARD_STATUSES)
+    .map(
+      ([status, info]) =>
+        `<option value="${status}">${escapeHtml(info.label)}</option>`,
+    )
+    .join("");
+  const legend = Object.values(DASHBOARD_STATUSES)
+    .map(
+      (info) =>
+        `<span>${`<span class="badge" style="background:${info.colour}">${escapeHtml(
+          info.label,
+        )}</span>`} ${escapeHtml(info.description)}</span>`,
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="muted">Generated ${escapeHtml(
+    formatDate(data.generatedAt, options),
+  )} (${escapeHtml(options.timeZone || DEFAULT_TIME_ZONE)})</p>
+<div class="cards">
+${totalsSection(data.totals)}
+</div>
+<p class="legend">
+${legend}
+</p>
+<h2>Progress by namespace</h2>
+<table>
+<thead><tr><th>Namespace</th><th>Migrated</th><th>Status breakdown</th></tr></thead>
+<tbody>
+${namespaceRows(data.namespaces)}
+</tbody>
+</table>
+<h2>Projects (<span id="shown">${data.projects.length}</span>)</h2>
+<div class="filters">
+<input id="search" type="search" placeholder="Filter by name, path or URL">
+<select id="status"><option value="">All statuses</option>${statusOptions}</select>
+</div>
+<table id="projects">
+<thead><tr><th>Name</th><th>Namespace</th><th>Status</th><th>Legacy</th><th>GitLab archived</th><th>GitLab updated</th><th>GitHub pushed</th><th>GitLab</th><th>GitHub</th></tr></thead>
+<tbody>
+${projectRows(data.projects, options)}
+</tbody>
+</table>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  DASHBOARD_STATUSES,
+  DASHBOARD_HEADERS,
+  buildDashboardData,
+  renderDashboardHtml,
+};
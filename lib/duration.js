@@ -0,0 +1,48 @@
+const { ConfigError } = require("./errors");
+
+const DURATION_UNITS = {
+  w: 7 * 24 * 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  h: 60 * 60 * 1000,
+  m: 60 * 1000,
+  s: 1000,
+};
+
+// Parses "90s", "15m", "6h", "2d", "1w" or combinations such as "1h30m" into
+// milliseconds. A bare number is taken as seconds.
+function parseDuration(value, label = "duration") {
+  const text = String(value).trim().toLowerCase();
+  if (/^\d+$/.test(text)) {
+    return Number(text) * DURATION_UNITS.s;
+  }
+  const parts = text.match(/\d+[wdhms]/g);
+  if (!parts || parts.join("") !== text) {
+    throw new ConfigError(
+      `Invalid ${label} '${value}'. Use e.g. 90s, 15m, 6h, 2d or 1w.`,
+    );
+  }
+  return parts.reduce(
+    (total, part) =>
+      total + parseInt(part, 10) * DURATION_UNITS[part[part.length - 1]],
+    0,
+  );
+}
+
+// The inverse of parseDuration, for messages, keeping the two largest units:
+// 5400000 -> "1h30m", 200000000 -> "2d7h".
+function formatDuration(ms) {
+  if (!ms) {
+    return "0s";
+  }
+  let rest = ms;
+  const parts = [];
+  for (const [unit, size] of Object.entries(DURATION_UNITS)) {
+    if (rest >= size && parts.length < 2) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+  }
+  return parts.join("") || `${ms}ms`;
+}
+
+module.exports = { parseDuration, formatDuration };
@@ -0,0 +1,35 @@
+const fs = require("fs");
+const path = require("path");
+
+function loadEnv(envPath = path.join(process.cwd(), ".env")) {
+  if (!fs.existsSync(envPath)) {
+    return;
+  }
+  const raw = fs.readFileSync(envPath, "utf8");
+  raw
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .forEach((line) => {
+      const eq = line.indexOf("=");
+      if (eq === -1) {
+        return;
+      }
+      const key = line.slice(0, eq).trim();
+      if (!key) {
+        return;
+      }
+      let value = line.slice(eq + 1).trim();
+      if (
+        (value.startsWith('"') && value.endsWith('"')) ||
+        (value.startsWith("'") && value.endsWith("'"))
+      ) {
+        value = value.slice(1, -1);
+      }
+      if (!Object.prototype.hasOwnProperty.call(process.env, key)) {
+        process.env[key] = value;
+      }
+    });
+}
+
+module.exports = { loadEnv };
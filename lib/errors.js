@@ -0,0 +1,64 @@
+class MigrationAuditError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || "MIGRATION_AUDIT_ERROR";
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+class ConfigError extends MigrationAuditError {
+  constructor(message, options = {}) {
+    super(message, { code: "CONFIG_ERROR", ...options });
+  }
+}
+
+class ReportNotFoundError extends MigrationAuditError {
+  constructor(label, pathname, hint) {
+    super(
+      `${label} report '${pathname}' not found.${hint ? ` ${hint}` : ""}`,
+      { code: "REPORT_NOT_FOUND" },
+    );
+    this.path = pathname;
+  }
+}
+
+class ApiError extends MigrationAuditError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.statusCode = options.statusCode || 0;
+    this.body = options.body || "";
+    this.headers = options.headers || {};
+    this.attempts = options.attempts || 1;
+  }
+}
+
+class GitLabApiError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: "GITLAB_API_ERROR", ...options });
+  }
+}
+
+class GitHubApiError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: "GITHUB_API_ERROR", ...options });
+  }
+}
+
+class GhCliError extends MigrationAuditError {
+  constructor(message, options = {}) {
+    super(message, { code: "GH_CLI_ERROR", ...options });
+  }
+}
+
+module.exports = {
+  MigrationAuditError,
+  ConfigError,
+  ReportNotFoundError,
+  ApiError,
+  GitLabApiError,
+  GitHubApiError,
+  GhCliError,
+};
@@ -0,0 +1,87 @@
+const { ConfigError } = require("./errors");
+
+// Exit codes shared by every check script. A scheduled job can tell "the
+// check ran and found something it was asked to fail on" (2) apart from
+// "the check could not run" (1).
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_FINDINGS = 2;
+
+function splitConditions(value) {
+  return String(value || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Pulls `--fail-on <a,b>` / `--fail-on=<a,b>` (repeatable) out of argv and
+// checks every name against the script's `conditions`. "any" stands for all
+// of them and "none" drops `defaults`, the conditions the script fails on
+// without the flag.
+function extractFailOn(argv, conditions, defaults = []) {
+  const args = [];
+  let requested = null;
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    let value;
+    if (arg === "--fail-on") {
+      value = argv[i + 1];
+      i += 1;
+    } else if (arg.startsWith("--fail-on=")) {
+      value = arg.slice("--fail-on=".length);
+    } else {
+      args.push(arg);
+      continue;
+    }
+    const names = splitConditions(value);
+    if (names.length === 0) {
+      throw new ConfigError("--fail-on needs a condition.");
+    }
+    requested = [...(requested || []), ...names];
+  }
+
+  const failOn = new Set();
+  for (const name of requested || defaults) {
+    if (name === "any") {
+      conditions.forEach((condition) => failOn.add(condition));
+    } else if (name === "none") {
+      failOn.clear();
+    } else if (conditions.includes(name)) {
+      failOn.add(name);
+    } else {
+      throw new ConfigError(
+        `Unknown --fail-on condition '${name}'. Use ${[
+          ...conditions,
+          "any",
+          "none",
+        ].join(", ")}.`,
+      );
+    }
+  }
+  return { failOn: Array.from(failOn), args };
+}
+
+// Sets the exit code to EXIT_FINDINGS when any condition in `failOn` has a
+// non-zero count in `counts` and returns the triggered ones.
+function applyFailOn(failOn, counts, logger) {
+  const triggered = failOn
+    .filter((condition) => (counts[condition] || 0) > 0)
+    .map((condition) => ({ condition, count: counts[condition] }));
+  if (triggered.length > 0) {
+    logger.warn(
+      `Failing on ${triggered
+        .map(({ condition, count }) => `${condition} (${count})`)
+        .join(", ")}.`,
+    );
+    process.exitCode = EXIT_FINDINGS;
+  }
+  return triggered;
+}
+
+module.exports = {
+  EXIT_OK,
+  EXIT_ERROR,
+  EXIT_FINDINGS,
+  extractFailOn,
+  applyFailOn,
+};
@@ -0,0 +1,309 @@
+const { writeCsv } = require("./csv");
+const {
+  resolveGithubToken,
+  githubGet,
+  githubGraphql,
+  nextLink,
+} = require("./github");
+const { loadCache, saveCache, cacheSince } = require("./cache");
+const { parseColumns, toRow } = require("./columns");
+const { saveSnapshot } = require("./snapshots");
+const { silentLogger } = require("./logger");
+const { GitHubApiError } = require("./errors");
+
+const DEFAULT_COLUMNS = [
+  "name",
+  "name_with_owner",
+  "archived",
+  "visibility",
+  "url",
+  "pushed_at",
+];
+
+function topicNames(topics) {
+  return (topics || [])
+    .map((topic) => (typeof topic === "string" ? topic : topic.name))
+    .filter(Boolean);
+}
+
+const COLUMN_EXTRACTORS = {
+  id: (r) => r.id,
+  name: (r) => r.name,
+  name_with_owner: (r) => r.nameWithOwner,
+  archived: (r) => r.isArchived,
+  visibility: (r) => r.visibility,
+  url: (r) => r.url,
+  pushed_at: (r) => r.pushedAt,
+  default_branch: (r) => (r.defaultBranchRef ? r.defaultBranchRef.name : ""),
+  disk_usage: (r) => r.diskUsage,
+  is_fork: (r) => r.isFork,
+  is_empty: (r) => r.isEmpty,
+  is_template: (r) => r.isTemplate,
+  description: (r) => r.description,
+  topics: (r) => topicNames(r.repositoryTopics).join(";"),
+  has_wiki_enabled: (r) => r.hasWikiEnabled,
+  has_issues_enabled: (r) => r.hasIssuesEnabled,
+  created_at: (r) => r.createdAt,
+  updated_at: (r) => r.updatedAt,
+};
+
+function parseGithubColumns(value) {
+  return parseColumns(value, COLUMN_EXTRACTORS, DEFAULT_COLUMNS);
+}
+
+// Maps a REST repository payload onto the field names `gh repo list --json`
+// produces, so cached entries look the same whichever path fetched them.
+// REST has no isEmpty flag; a zero size is the closest signal it offers.
+function fromRestRepo(repo) {
+  return {
+    id: repo.node_id,
+    name: repo.name,
+    nameWithOwner: repo.full_name,
+    isArchived: repo.archived,
+    visibility: String(repo.visibility || "").toUpperCase(),
+    url: repo.html_url,
+    pushedAt: repo.pushed_at,
+    defaultBranchRef: repo.default_branch
+      ? { name: repo.default_branch }
+      : null,
+    diskUsage: repo.size,
+    isFork: repo.fork,
+    isEmpty: repo.size === 0,
+    isTemplate: repo.is_template,
+    description: repo.description,
+    repositoryTopics: (repo.topics || []).map((name) => ({ name })),
+    hasWikiEnabled: repo.has_wiki,
+    hasIssuesEnabled: repo.has_issues,
+    createdAt: repo.created_at,
+    updatedAt: repo.updated_at,
+  };
+}
+
+async function fetchChangedGitHubRepos(org, since, token) {
+  const sinceTime = new Date(since).getTime();
+  const repos = [];
+  let endpoint = `orgs/${encodeURIComponent(
+    org,
+  )}/repos?type=all&sort=pushed&direction=desc&per_page=100`;
+
+  while (endpoint) {
+    const { data, headers } = await githubGet(endpoint, token);
+    if (!Array.isArray(data) || data.length === 0) {
+      break;
+    }
+
+    let reachedUnchanged = false;
+    for (const repo of data) {
+      const pushedAt = new Date(repo.pushed_at || 0).getTime();
+      if (pushedAt < sinceTime) {
+        reachedUnchanged = true;
+        break;
+      }
+      repos.push(fromRestRepo(repo));
+    }
+    endpoint = reachedUnchanged ? null : nextLink(headers);
+  }
+
+  return repos;
+}
+
+const ORG_REPOS_QUERY = `
+  query OrgRepos($org: String!, $first: Int!, $after: String) {
+    organization(login: $org) {
+      repositories(
+        first: $first
+        after: $after
+        orderBy: { field: NAME, direction: ASC }
+      ) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          id
+          name
+          nameWithOwner
+          isArchived
+          visibility
+          url
+          pushedAt
+          defaultBranchRef {
+            name
+          }
+          diskUsage
+          isFork
+          isEmpty
+          isTemplate
+          description
+          repositoryTopics(first: 20) {
+            nodes {
+              topic {
+                name
+              }
+            }
+          }
+          hasWikiEnabled
+          hasIssuesEnabled
+          createdAt
+          updatedAt
+        }
+      }
+    }
+  }
+`;
+
+// Just enough of every repo to notice deletions and archive-only or
+// visibility-only changes, which do not move pushed_at.
+const ORG_REPO_INDEX_QUERY = `
+  query OrgRepoIndex($org: String!, $first: Int!, $after: String) {
+    organization(login: $org) {
+      repositories(
+        first: $first
+        after: $after
+        orderBy: { field: NAME, direction: ASC }
+      ) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          id
+          name
+          nameWithOwner
+          isArchived
+          visibility
+          url
+        }
+      }
+    }
+  }
+`;
+
+// Flattens GraphQL topic connections into the `[{ name }]` list shape
+// `gh repo list --json repositoryTopics` used to produce.
+function fromGraphqlRepo(node) {
+  const topics = node.repositoryTopics ? node.repositoryTopics.nodes : [];
+  return {
+    ...node,
+    repositoryTopics: (topics || [])
+      .filter((item) => item && item.topic)
+      .map((item) => ({ name: item.topic.name })),
+  };
+}
+
+async function fetchGitHubRepos(org, limit, token, query = ORG_REPOS_QUERY) {
+  const repos = [];
+  let after = null;
+
+  while (true) {
+    const data = await githubGraphql(query, { org, first: 100, after }, token);
+    if (!data.organization) {
+      throw new GitHubApiError(
+        `GitHub organization '${org}' not found or not visible to the token.`,
+      );
+    }
+    const connection = data.organization.repositories || {};
+    repos.push(...(connection.nodes || []).map(fromGraphqlRepo));
+    if (limit > 0 && repos.length >= limit) {
+      return repos.slice(0, limit);
+    }
+
+    const pageInfo = connection.pageInfo || {};
+    if (!pageInfo.hasNextPage || !pageInfo.endCursor) {
+      break;
+    }
+    after = pageInfo.endCursor;
+  }
+
+  return repos;
+}
+
+// Lays the changed and cached repos over a fresh index of the whole org:
+// repos missing from the index are dropped, archive and visibility come from
+// the index, and repos known to neither (e.g. transferred in without a push)
+// are fetched one by one.
+async function mergeWithRepoIndex(org, token, cache, changed, logger) {
+  const index = await fetchGitHubRepos(org, 0, token, ORG_REPO_INDEX_QUERY);
+  const changedById = new Map(changed.map((repo) => [repo.id, repo]));
+  const repos = [];
+  let dropped = Object.keys(cache.items).length;
+  for (const entry of index) {
+    let repo = changedById.get(entry.id) || cache.items[entry.id];
+    if (cache.items[entry.id]) {
+      dropped -= 1;
+    }
+    if (!repo) {
+      const { data } = await githubGet(`repos/${entry.nameWithOwner}`, token);
+      repo = fromRestRepo(data);
+    }
+    repos.push({ ...repo, ...entry });
+  }
+  logger.log(
+    `Refreshed archive state and visibility of ${index.length} repos; dropped ${dropped} no longer in '${org}'.`,
+  );
+  return repos.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+// Crawls every repository in `options.org` into `options.outputPath`. Unless
+// `options.full` is set, only repos pushed since the cached crawl are
+// re-fetched in full; every run still lists the whole org to drop deleted
+// repos and refresh archive state and visibility. With `options.snapshotDir` the result
+// is also kept there as a timestamped snapshot.
+async function crawlGithub(options = {}) {
+  const logger = options.logger || silentLogger;
+  const startedMs = Date.now();
+  const { org, outputPath, cachePath } = options;
+  const limit = options.limit || 0;
+  const columns = Array.isArray(options.columns)
+    ? options.columns
+    : parseGithubColumns(options.columns);
+
+  const token = await resolveGithubToken(options.token);
+  const startedAt = new Date().toISOString();
+  const cache = options.full ? null : loadCache(cachePath, org, logger);
+  const since = cache ? cacheSince(cache) : null;
+
+  let repos;
+  if (since) {
+    logger.log(
+      `Incremental crawl: fetching repos in '${org}' pushed since ${since} (pass --full for a clean re-crawl).`,
+    );
+    const changed = await fetchChangedGitHubRepos(org, since, token);
+    logger.log(`Fetched ${changed.length} changed GitHub repos.`);
+    repos = await mergeWithRepoIndex(org, token, cache, changed, logger);
+  } else {
+    logger.log(`Fetching GitHub repos for org '${org}' via the GitHub API...`);
+    repos = await fetchGitHubRepos(org, limit, token);
+    logger.log(`Fetched ${repos.length} GitHub repos.`);
+  }
+  saveCache(
+    cachePath,
+    org,
+    startedAt,
+    Object.fromEntries(repos.map((repo) => [repo.id, repo])),
+  );
+
+  writeCsv(
+    outputPath,
+    columns,
+    repos.map((repo) => toRow(repo, columns, COLUMN_EXTRACTORS)),
+  );
+  const snapshotPath = options.snapshotDir
+    ? saveSnapshot(options.snapshotDir, "github", repos, COLUMN_EXTRACTORS, {
+        crawledAt: startedAt,
+        org,
+        incremental: Boolean(since),
+        durationMs: Date.now() - startedMs,
+      })
+    : "";
+  return { repos, columns, outputPath, snapshotPath };
+}
+
+module.exports = {
+  GITHUB_DEFAULT_COLUMNS: DEFAULT_COLUMNS,
+  GITHUB_COLUMN_EXTRACTORS: COLUMN_EXTRACTORS,
+  parseGithubColumns,
+  fromRestRepo,
+  fromGraphqlRepo,
+  crawlGithub,
+};
@@ -0,0 +1,315 @@
+const { execFile } = require("child_process");
+const {
+  RETRYABLE_STATUS_CODES,
+  RETRYABLE_ERROR_CODES,
+  sleep,
+  readIntEnv,
+  retryAfterDelay,
+  backoffDelay,
+  jitter,
+  httpsRequest,
+} = require("./http");
+const { ConfigError, GhCliError, GitHubApiError } = require("./errors");
+
+function runGh(args) {
+  return new Promise((resolve, reject) => {
+    execFile("gh", args, { encoding: "utf8" }, (error, stdout, stderr) => {
+      if (error) {
+        if (error.code === "ENOENT") {
+          reject(new GhCliError("gh CLI not found in PATH."));
+          return;
+        }
+        const message = stderr ? stderr.trim() : error.message;
+        reject(new GhCliError(`gh command failed: ${message}`, { cause: error }));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+function githubApiBase(apiUrl = process.env.GITHUB_API_URL) {
+  return (apiUrl || "https://api.github.com").replace(/\/$/, "");
+}
+
+// GitHub Enterprise serves REST under /api/v3 and GraphQL under
+// /api/graphql; github.com uses /graphql next to the REST root.
+function githubGraphqlUrl(apiBase = githubApiBase()) {
+  if (process.env.GITHUB_GRAPHQL_URL) {
+    return process.env.GITHUB_GRAPHQL_URL;
+  }
+  if (/\/api\/v3$/.test(apiBase)) {
+    return apiBase.replace(/\/api\/v3$/, "/api/graphql");
+  }
+  return `${apiBase}/graphql`;
+}
+
+async function resolveGithubToken(token) {
+  const resolved = token || process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+  if (resolved) {
+    return resolved;
+  }
+  try {
+    const stdout = await runGh(["auth", "token"]);
+    if (stdout.trim()) {
+      return stdout.trim();
+    }
+  } catch (error) {
+    // Fall through to the error below; gh is only a convenience fallback.
+  }
+  throw new ConfigError(
+    "GITHUB_TOKEN not found. Add it to .env or log in with `gh auth login`.",
+  );
+}
+
+function githubRateLimitDelay(headers = {}) {
+  if (headers["x-ratelimit-remaining"] !== "0") {
+    return null;
+  }
+  const reset = Number(headers["x-ratelimit-reset"]);
+  if (Number.isNaN(reset)) {
+    return null;
+  }
+  return Math.max(reset * 1000 - Date.now(), 0);
+}
+
+function isGithubRateLimitError(error) {
+  if (error.statusCode === 429) {
+    return true;
+  }
+  if (error.statusCode === 403) {
+    // Primary and secondary rate limits both surface as 403s.
+    const headers = error.headers || {};
+    return (
+      headers["x-ratelimit-remaining"] === "0" || Boolean(headers["retry-after"])
+    );
+  }
+  return false;
+}
+
+// A request that is not idempotent may have succeeded on the server even
+// though it failed or timed out here, so it is only retried when GitHub
+// explicitly refused it for rate limiting.
+function isRetryableGithubError(error, idempotent) {
+  if (isGithubRateLimitError(error)) {
+    return true;
+  }
+  if (!idempotent) {
+    return false;
+  }
+  if (!error.statusCode) {
+    return RETRYABLE_ERROR_CODES.has(error.code);
+  }
+  return RETRYABLE_STATUS_CODES.has(error.statusCode);
+}
+
+async function githubRequestOnce(method, url, headers, body) {
+  const response = await httpsRequest(
+    method,
+    url,
+    headers,
+    body,
+    readIntEnv("GITHUB_REQUEST_TIMEOUT_MS", 30000),
+  );
+  if (response.statusCode >= 400) {
+    let detail = "";
+    try {
+      detail = JSON.parse(response.body).message || "";
+    } catch (parseError) {
+      detail = "";
+    }
+    const error = new Error(
+      `GitHub request failed with status ${response.statusCode}${
+        detail ? `: ${detail}` : ""
+      }`,
+    );
+    error.statusCode = response.statusCode;
+    error.body = response.body;
+    error.headers = response.headers;
+    throw error;
+  }
+  return { body: response.body, headers: response.headers };
+}
+
+// POST and PATCH count as not idempotent unless `options.idempotent` says
+// otherwise (GraphQL queries are POSTs that only read).
+async function githubRequest(method, endpoint, token, body, options = {}) {
+  const url = /^https?:\/\//.test(endpoint)
+    ? endpoint
+    : `${githubApiBase()}/${endpoint.replace(/^\//, "")}`;
+  const headers = {
+    Accept: "application/vnd.github+json",
+    Authorization: `Bearer ${token}`,
+    "User-Agent": "gitlab-github-migration-audit",
+    "X-GitHub-Api-Version": "2022-11-28",
+  };
+  if (body) {
+    headers["Content-Type"] = "application/json";
+  }
+  const maxRetries = readIntEnv("GITHUB_MAX_RETRIES", 5);
+  const idempotent =
+    options.idempotent ?? !["POST", "PATCH"].includes(method.toUpperCase());
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const response = await githubRequestOnce(method, url, headers, body);
+      const pause = githubRateLimitDelay(response.headers);
+      if (pause) {
+        await sleep(pause);
+      }
+      return response;
+    } catch (error) {
+      if (!isRetryableGithubError(error, idempotent) || attempt >= maxRetries) {
+        throw new GitHubApiError(
+          error.statusCode
+            ? error.message
+            : `GitHub request failed: ${error.message}`,
+          {
+            statusCode: error.statusCode,
+            body: error.body,
+            headers: error.headers,
+            attempts: attempt + 1,
+            cause: error,
+            ...(error.statusCode ? {} : { code: error.code }),
+          },
+        );
+      }
+      const hinted =
+        retryAfterDelay(error.headers) ?? githubRateLimitDelay(error.headers);
+      const delay =
+        hinted !== null
+          ? jitter(hinted)
+          : backoffDelay(
+              attempt,
+              readIntEnv("GITHUB_RETRY_BASE_MS", 1000),
+              readIntEnv("GITHUB_RETRY_MAX_MS", 60000),
+            );
+      await sleep(delay);
+    }
+  }
+}
+
+async function githubGet(endpoint, token) {
+  const response = await githubRequest("GET", endpoint, token);
+  try {
+    return { data: JSON.parse(response.body), headers: response.headers };
+  } catch (error) {
+    throw new GitHubApiError(
+      `Failed to parse GitHub response for '${endpoint}' as JSON.`,
+      { body: response.body, cause: error },
+    );
+  }
+}
+
+function nextLink(headers = {}) {
+  const link = headers.link || "";
+  const match = link.match(/<([^>]+)>;\s*rel="next"/);
+  return match ? match[1] : null;
+}
+
+// Reads every page of a list endpoint by following Link: rel="next".
+async function githubPaginate(endpoint, token) {
+  const records = [];
+  let next = endpoint;
+  while (next) {
+    const { data, headers } = await githubGet(next, token);
+    if (!Array.isArray(data) || data.length === 0) {
+      break;
+    }
+    records.push(...data);
+    next = nextLink(headers);
+  }
+  return records;
+}
+
+async function githubGraphql(query, variables, token) {
+  const response = await githubRequest(
+    "POST",
+    githubGraphqlUrl(),
+    token,
+    JSON.stringify({ query, variables }),
+    { idempotent: true },
+  );
+  let payload;
+  try {
+    payload = JSON.parse(response.body);
+  } catch (error) {
+    throw new GitHubApiError("Failed to parse GitHub GraphQL response as JSON.", {
+      body: response.body,
+      cause: error,
+    });
+  }
+  if (Array.isArray(payload.errors) && payload.errors.length > 0) {
+    const messages = payload.errors.map((item) => item.message).join("; ");
+    throw new GitHubApiError(`GitHub GraphQL query failed: ${messages}`, {
+      body: response.body,
+    });
+  }
+  return payload.data || {};
+}
+
+async function githubSend(method, endpoint, token, payload) {
+  const response = await githubRequest(
+    method,
+    endpoint,
+    token,
+    JSON.stringify(payload),
+  );
+  try {
+    return JSON.parse(response.body);
+  } catch (error) {
+    throw new GitHubApiError(
+      `Failed to parse GitHub response for '${endpoint}' as JSON.`,
+      { body: response.body, cause: error },
+    );
+  }
+}
+
+// Edits the first comment on the issue whose body contains `marker`, or
+// creates one, so repeated runs keep a single up-to-date comment.
+async function upsertIssueComment(repo, issueNumber, marker, body, token) {
+  const comments = await githubPaginate(
+    `repos/${repo}/issues/${issueNumber}/comments?per_page=100`,
+    token,
+  );
+  const existing = comments.find(
+    (comment) => comment.body && comment.body.includes(marker),
+  );
+  if (existing) {
+    const updated = await githubSend(
+      "PATCH",
+      `repos/${repo}/issues/comments/${existing.id}`,
+      token,
+      { body },
+    );
+    return { action: "updated", url: updated.html_url, id: updated.id };
+  }
+  const created = await githubSend(
+    "POST",
+    `repos/${repo}/issues/${issueNumber}/comments`,
+    token,
+    { body },
+  );
+  return { action: "created", url: created.html_url, id: created.id };
+}
+
+// 404 for unknown repos/refs/SHAs, 409 for empty repositories and 422 for
+// compare requests GitHub cannot resolve.
+function isGithubNotFound(error) {
+  return [404, 409, 422].includes(error.statusCode);
+}
+
+module.exports = {
+  runGh,
+  githubApiBase,
+  githubGraphqlUrl,
+  resolveGithubToken,
+  githubRequest,
+  githubGet,
+  githubPaginate,
+  githubGraphql,
+  githubSend,
+  upsertIssueComment,
+  nextLink,
+  isGithubNotFound,
+};
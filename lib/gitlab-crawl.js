@@ -0,0 +1,654 @@
+const fs = require("fs");
+const { writeCsv, appendCsvRows } = require("./csv");
+const { gitlabGet, gitlabJson, gitlabGraphql, gitlabApiBase } = require("./gitlab");
+const { loadCache, saveCache, cacheSince } = require("./cache");
+const { parseColumns, toRow } = require("./columns");
+const { saveSnapshot } = require("./snapshots");
+const { clampConcurrency } = require("./concurrency");
+const { silentLogger } = require("./logger");
+const { ConfigError, GitLabApiError } = require("./errors");
+
+const DEFAULT_COLUMNS = [
+  "name",
+  "path_with_namespace",
+  "archived",
+  "last_activity_at",
+  "web_url",
+  "empty_repo",
+  "visibility",
+  "last_repository_updated_at",
+  "id",
+];
+
+function statistic(p, key) {
+  return p.statistics ? p.statistics[key] : "";
+}
+
+const COLUMN_EXTRACTORS = {
+  id: (p) => p.id,
+  name: (p) => p.name,
+  path_with_namespace: (p) => p.path_with_namespace,
+  archived: (p) => p.archived,
+  last_activity_at: (p) => p.last_activity_at,
+  web_url: (p) => p.web_url,
+  empty_repo: (p) => p.empty_repo,
+  visibility: (p) => p.visibility,
+  last_repository_updated_at: (p) => p.last_repository_updated_at,
+  default_branch: (p) => p.default_branch,
+  default_branch_committed_at: (p) => p.default_branch_committed_at,
+  created_at: (p) => p.created_at,
+  repository_size: (p) => statistic(p, "repository_size"),
+  lfs_objects_size: (p) => statistic(p, "lfs_objects_size"),
+  wiki_size: (p) => statistic(p, "wiki_size"),
+  packages_size: (p) => statistic(p, "packages_size"),
+  open_issues_count: (p) => p.open_issues_count,
+  open_merge_requests_count: (p) => p.open_merge_requests_count,
+  forks_count: (p) => p.forks_count,
+  forked_from: (p) =>
+    p.forked_from_project ? p.forked_from_project.path_with_namespace : "",
+  topics: (p) => (p.topics || p.tag_list || []).join(";"),
+  description: (p) => p.description,
+  wiki_enabled: (p) => p.wiki_enabled,
+  issues_enabled: (p) => p.issues_enabled,
+  jobs_enabled: (p) => p.jobs_enabled,
+  mirror: (p) => p.mirror,
+  mirror_overwrites_diverged_branches: (p) =>
+    p.mirror_overwrites_diverged_branches,
+  only_mirror_protected_branches: (p) => p.only_mirror_protected_branches,
+  creator_id: (p) => p.creator_id,
+  owner: (p) =>
+    p.owner ? p.owner.username : (p.namespace && p.namespace.full_path) || "",
+};
+
+const STATISTICS_COLUMNS = [
+  "repository_size",
+  "lfs_objects_size",
+  "wiki_size",
+  "packages_size",
+];
+
+function parseGitlabColumns(value) {
+  return parseColumns(value, COLUMN_EXTRACTORS, DEFAULT_COLUMNS);
+}
+
+function toReportRow(p, columns) {
+  return toRow(p, columns, COLUMN_EXTRACTORS);
+}
+
+function newCheckpoint(groupPath, backend, since) {
+  return {
+    groupPath,
+    backend,
+    since,
+    startedAt: new Date().toISOString(),
+    groupId: null,
+    listing: { complete: false, nextPage: 1, after: null },
+    projects: [],
+    completed: [],
+  };
+}
+
+function loadCheckpoint(pathname, groupPath, backend, logger) {
+  if (!fs.existsSync(pathname)) {
+    return null;
+  }
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(pathname, "utf8"));
+  } catch (error) {
+    logger.warn(
+      `Warning: ignoring unreadable checkpoint ${pathname}: ${error.message}`,
+    );
+    return null;
+  }
+  if (state.groupPath !== groupPath || state.backend !== backend) {
+    logger.warn(
+      `Warning: ignoring checkpoint ${pathname} for '${state.groupPath}' (${state.backend}).`,
+    );
+    return null;
+  }
+  return state;
+}
+
+function saveCheckpoint(pathname, state) {
+  const tmpPath = `${pathname}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state), "utf8");
+  fs.renameSync(tmpPath, pathname);
+}
+
+function sortByPath(projects) {
+  return [...projects].sort((a, b) =>
+    String(a.path_with_namespace).localeCompare(String(b.path_with_namespace)),
+  );
+}
+
+// Incremental crawls still list every project, so deleted projects drop out
+// and archive-only or visibility-only changes show up. What they skip is the
+// per-project detail request for projects with no activity since `since`
+// and the same last_activity_at as when they were cached, whose cached
+// repository timestamp (and merge request count) still holds.
+function reuseCachedDetails(projects, cache, since) {
+  const sinceTime = new Date(since).getTime();
+  let reused = 0;
+  for (const project of projects) {
+    const cached = cache.items[project.id];
+    const activity = new Date(project.last_activity_at || 0).getTime();
+    if (
+      !cached ||
+      !cached.last_repository_updated_at ||
+      project.last_repository_updated_at ||
+      project.last_activity_at !== cached.last_activity_at ||
+      activity >= sinceTime
+    ) {
+      continue;
+    }
+    project.last_repository_updated_at = cached.last_repository_updated_at;
+    if (
+      project.open_merge_requests_count === undefined &&
+      cached.open_merge_requests_count !== undefined
+    ) {
+      project.open_merge_requests_count = cached.open_merge_requests_count;
+    }
+    reused += 1;
+  }
+  return reused;
+}
+
+// Tracks which projects already have a row in the streamed CSV and persists
+// the crawl state so an interrupted run can pick up where it stopped.
+function createProgress(checkpointPath, outputPath, state, columns) {
+  const completed = new Set(state.completed);
+  let unsaved = 0;
+
+  function save() {
+    state.completed = Array.from(completed);
+    saveCheckpoint(checkpointPath, state);
+    unsaved = 0;
+  }
+
+  return {
+    state,
+    columns,
+    save,
+    isComplete(project) {
+      return completed.has(project.id);
+    },
+    complete(projects) {
+      const fresh = projects.filter((project) => !completed.has(project.id));
+      for (const project of fresh) {
+        completed.add(project.id);
+      }
+      appendCsvRows(
+        outputPath,
+        columns,
+        fresh.map((project) => toReportRow(project, columns)),
+      );
+      unsaved += fresh.length;
+      if (unsaved >= 10) {
+        save();
+      }
+    },
+  };
+}
+
+async function fetchGroup(apiBase, token, groupPath) {
+  try {
+    return await gitlabJson(
+      apiBase,
+      token,
+      `/groups/${encodeURIComponent(groupPath)}`,
+    );
+  } catch (error) {
+    if (error.statusCode === 401) {
+      error.message =
+        "Unauthorized (401). The GITLAB_TOKEN likely expired or lacks the read_api scope.";
+    } else if (error.statusCode === 404) {
+      error.message = `Group path '${groupPath}' not found (404). Check GITLAB_GROUP_PATH and ensure the token can access it.`;
+    } else {
+      error.message = `Unexpected error when fetching group info: ${error.message}`;
+    }
+    throw error;
+  }
+}
+
+async function fetchProjects(apiBase, token, groupId, progress) {
+  const { listing } = progress.state;
+  const records = progress.state.projects;
+  let page = listing.nextPage;
+
+  while (!listing.complete) {
+    const url = new URL(`${apiBase}/groups/${groupId}/projects`);
+    url.searchParams.set("include_subgroups", "true");
+    url.searchParams.set("per_page", "100");
+    url.searchParams.set("page", String(page));
+    url.searchParams.set("order_by", "path");
+    if (STATISTICS_COLUMNS.some((column) => progress.columns.includes(column))) {
+      url.searchParams.set("statistics", "true");
+    }
+
+    const response = await gitlabGet(url.toString(), { "PRIVATE-TOKEN": token });
+    let data;
+    try {
+      data = JSON.parse(response.body);
+    } catch (error) {
+      throw new GitLabApiError("Failed to parse GitLab JSON response.", {
+        body: response.body,
+      });
+    }
+    if (Array.isArray(data)) {
+      records.push(...data);
+    }
+
+    const nextPage = parseInt(response.headers["x-next-page"] || "", 10);
+    if (
+      !Array.isArray(data) ||
+      data.length === 0 ||
+      Number.isNaN(nextPage) ||
+      nextPage < 1
+    ) {
+      listing.complete = true;
+    } else {
+      page = nextPage;
+      listing.nextPage = nextPage;
+    }
+    progress.save();
+  }
+
+  return records;
+}
+
+async function fetchOpenMergeRequestCount(apiBase, token, projectId, onRetry) {
+  const url = new URL(`${apiBase}/projects/${projectId}/merge_requests`);
+  url.searchParams.set("state", "opened");
+  url.searchParams.set("per_page", "1");
+  let headers;
+  try {
+    ({ headers } = await gitlabGet(
+      url.toString(),
+      { "PRIVATE-TOKEN": token },
+      { onRetry },
+    ));
+  } catch (error) {
+    // Projects with merge requests disabled answer 403/404.
+    if (error.statusCode === 403 || error.statusCode === 404) {
+      return "";
+    }
+    throw error;
+  }
+  const total = parseInt(headers["x-total"] || "", 10);
+  return Number.isNaN(total) ? "" : total;
+}
+
+async function fetchProjectDetailsConcurrently(
+  apiBase,
+  token,
+  projects,
+  progress,
+  concurrency,
+  logger,
+) {
+  const wantsMergeRequests = progress.columns.includes(
+    "open_merge_requests_count",
+  );
+  let index = 0;
+  let fetched = 0;
+  const failures = [];
+  const throttle = { limit: Math.min(concurrency, projects.length) };
+
+  function onRetry(info) {
+    if (!info.throttled || throttle.limit <= 1) {
+      return;
+    }
+    throttle.limit = Math.max(1, Math.floor(throttle.limit / 2));
+    logger.log(
+      `  GitLab is rate limiting; reducing detail concurrency to ${throttle.limit}.`,
+    );
+  }
+
+  async function worker(workerId) {
+    while (true) {
+      if (workerId >= throttle.limit) {
+        return;
+      }
+      const currentIndex = index;
+      index += 1;
+      if (currentIndex >= projects.length) {
+        return;
+      }
+      const project = projects[currentIndex];
+      if (progress.isComplete(project)) {
+        continue;
+      }
+      const needsDetail = !project.last_repository_updated_at;
+      const needsMergeRequests =
+        wantsMergeRequests && project.open_merge_requests_count === undefined;
+      if (!needsDetail && !needsMergeRequests) {
+        progress.complete([project]);
+        continue;
+      }
+      try {
+        if (needsDetail) {
+          const detail = await gitlabJson(
+            apiBase,
+            token,
+            `/projects/${project.id}`,
+            { onRetry },
+          );
+          project.last_repository_updated_at =
+            detail.last_repository_updated_at;
+          if (!project.last_activity_at) {
+            project.last_activity_at = detail.last_activity_at;
+          }
+        }
+        if (needsMergeRequests) {
+          project.open_merge_requests_count = await fetchOpenMergeRequestCount(
+            apiBase,
+            token,
+            project.id,
+            onRetry,
+          );
+        }
+        progress.complete([project]);
+      } catch (error) {
+        const attempts = error.attempts ? ` after ${error.attempts} attempts` : "";
+        logger.warn(
+          `Warning: failed to load extra details for project ${project.id}${attempts}: ${error.message}`,
+        );
+        failures.push({
+          id: project.id,
+          path_with_namespace: project.path_with_namespace,
+          message: error.message,
+        });
+      }
+      fetched += 1;
+      if (fetched % 25 === 0 || fetched === projects.length) {
+        logger.log(`  Fetched detail for ${fetched}/${projects.length} projects...`);
+      }
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < throttle.limit; i += 1) {
+    workers.push(worker(i));
+  }
+  await Promise.all(workers);
+  return failures;
+}
+
+const GROUP_PROJECTS_QUERY = `
+  query GroupProjects($fullPath: ID!, $first: Int!, $after: String) {
+    group(fullPath: $fullPath) {
+      id
+      projects(includeSubgroups: true, first: $first, after: $after) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          id
+          name
+          fullPath
+          archived
+          lastActivityAt
+          createdAt
+          webUrl
+          visibility
+          description
+          topics
+          forksCount
+          openIssuesCount
+          issuesEnabled
+          wikiEnabled
+          jobsEnabled
+          mergeRequests(state: opened) {
+            count
+          }
+          repository {
+            empty
+            rootRef
+            tree {
+              lastCommit {
+                committedDate
+              }
+            }
+          }
+          statistics {
+            repositorySize
+            lfsObjectsSize
+            wikiSize
+            packagesSize
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Maps a GraphQL project node onto the REST field names the CSV export
+// uses. GraphQL has no last_repository_updated_at, so it is left blank here
+// and filled from the REST project detail, as for the REST backend. The
+// default branch's latest commit date is kept as default_branch_committed_at:
+// it misses pushes to other branches and pushes of old commits, so it must
+// not stand in for the last push. Fork, mirror and creator details are
+// REST-only and stay blank.
+function fromGraphqlProject(node) {
+  const repository = node.repository || null;
+  const lastCommit =
+    repository && repository.tree && repository.tree.lastCommit;
+  const statistics = node.statistics || {};
+  return {
+    id: parseInt(String(node.id).split("/").pop(), 10),
+    name: node.name,
+    path_with_namespace: node.fullPath,
+    archived: node.archived,
+    last_activity_at: node.lastActivityAt,
+    created_at: node.createdAt,
+    web_url: node.webUrl,
+    empty_repo: !repository || repository.empty,
+    visibility: node.visibility,
+    description: node.description,
+    topics: node.topics || [],
+    forks_count: node.forksCount,
+    open_issues_count: node.openIssuesCount,
+    open_merge_requests_count: node.mergeRequests
+      ? node.mergeRequests.count
+      : "",
+    issues_enabled: node.issuesEnabled,
+    wiki_enabled: node.wikiEnabled,
+    jobs_enabled: node.jobsEnabled,
+    default_branch: (repository && repository.rootRef) || "",
+    default_branch_committed_at:
+      (lastCommit && lastCommit.committedDate) || "",
+    last_repository_updated_at: "",
+    statistics: {
+      repository_size: statistics.repositorySize,
+      lfs_objects_size: statistics.lfsObjectsSize,
+      wiki_size: statistics.wikiSize,
+      packages_size: statistics.packagesSize,
+    },
+  };
+}
+
+async function fetchProjectsGraphql(
+  baseUrl,
+  token,
+  groupPath,
+  progress,
+  pageSize,
+  logger,
+) {
+  const { listing } = progress.state;
+  const records = progress.state.projects;
+
+  while (!listing.complete) {
+    const data = await gitlabGraphql(baseUrl, token, GROUP_PROJECTS_QUERY, {
+      fullPath: groupPath,
+      first: pageSize,
+      after: listing.after,
+    });
+    if (!data.group) {
+      throw new GitLabApiError(
+        `Group path '${groupPath}' not found or not visible to the GITLAB_TOKEN.`,
+      );
+    }
+    const connection = data.group.projects || {};
+    const page = (connection.nodes || []).map(fromGraphqlProject);
+    records.push(...page);
+    logger.log(`  Listed ${records.length} projects via GraphQL...`);
+
+    const pageInfo = connection.pageInfo || {};
+    if (!pageInfo.hasNextPage || !pageInfo.endCursor) {
+      listing.complete = true;
+    } else {
+      listing.after = pageInfo.endCursor;
+    }
+    progress.save();
+  }
+
+  return records;
+}
+
+// Crawls every project under `options.groupPath` into `options.outputPath`.
+// Resumes from the checkpoint left by an interrupted run and, unless
+// `options.full` is set, only fetches details for projects active since the
+// cached crawl (see reuseCachedDetails). With `options.snapshotDir` the result is also kept there as a
+// timestamped snapshot. Resolves with the exported projects and any projects
+// whose details could not be loaded.
+async function crawlGitlab(options = {}) {
+  const logger = options.logger || silentLogger;
+  const startedMs = Date.now();
+  const baseUrl = String(options.baseUrl || "https://gitlab.com").replace(
+    /\/$/,
+    "",
+  );
+  const apiBase = gitlabApiBase(baseUrl);
+  const { token, groupPath, outputPath, checkpointPath, cachePath } = options;
+  const backend = (options.backend || "rest").toLowerCase();
+  if (!token) {
+    throw new ConfigError(
+      "GITLAB_TOKEN not found. Create a .env file and add GITLAB_TOKEN=your_token",
+    );
+  }
+  if (!["rest", "graphql"].includes(backend)) {
+    throw new ConfigError(
+      `Unknown backend '${backend}'. Use 'rest' or 'graphql'.`,
+    );
+  }
+  const columns = Array.isArray(options.columns)
+    ? options.columns
+    : parseGitlabColumns(options.columns);
+
+  let state = options.restart
+    ? null
+    : loadCheckpoint(checkpointPath, groupPath, backend, logger);
+  if (state) {
+    logger.log(
+      `Resuming crawl from ${checkpointPath} (${state.projects.length} projects listed, ${state.completed.length} exported).`,
+    );
+  } else {
+    const cache = options.full ? null : loadCache(cachePath, groupPath, logger);
+    const since = cache ? cacheSince(cache) : null;
+    if (since) {
+      logger.log(
+        `Incremental crawl: listing every project, fetching details only for those active since ${since} (pass --full for a clean re-crawl).`,
+      );
+    }
+    state = newCheckpoint(groupPath, backend, since);
+  }
+  const cache = state.since ? loadCache(cachePath, groupPath, logger) : null;
+
+  const done = new Set(state.completed);
+  writeCsv(
+    outputPath,
+    columns,
+    state.projects
+      .filter((p) => done.has(p.id))
+      .map((p) => toReportRow(p, columns)),
+  );
+  const progress = createProgress(checkpointPath, outputPath, state, columns);
+
+  let projects;
+  let failures = [];
+  try {
+    if (backend === "graphql") {
+      logger.log(`Fetching GitLab projects for '${groupPath}' via GraphQL ...`);
+      projects = await fetchProjectsGraphql(
+        baseUrl,
+        token,
+        groupPath,
+        progress,
+        clampConcurrency(options.graphqlPageSize, 20, 50),
+        logger,
+      );
+    } else {
+      if (!state.groupId) {
+        const group = await fetchGroup(apiBase, token, groupPath);
+        state.groupId = group.id;
+      }
+      projects = await fetchProjects(apiBase, token, state.groupId, progress);
+    }
+    if (cache) {
+      const reused = reuseCachedDetails(projects, cache, state.since);
+      logger.log(
+        `Reusing cached details for ${reused} of ${projects.length} projects inactive since ${state.since}.`,
+      );
+    }
+    // Neither backend lists last_repository_updated_at, so both need the
+    // per-project REST detail for it.
+    logger.log(
+      "Fetching GitLab project details to capture repository timestamps ...",
+    );
+    failures = await fetchProjectDetailsConcurrently(
+      apiBase,
+      token,
+      projects,
+      progress,
+      clampConcurrency(options.detailConcurrency, 8, 16),
+      logger,
+    );
+  } catch (error) {
+    progress.save();
+    error.checkpointPath = checkpointPath;
+    throw error;
+  }
+
+  projects = sortByPath(projects);
+  writeCsv(
+    outputPath,
+    columns,
+    projects.map((p) => toReportRow(p, columns)),
+  );
+  saveCache(
+    cachePath,
+    groupPath,
+    state.startedAt,
+    Object.fromEntries(projects.map((project) => [project.id, project])),
+  );
+  fs.rmSync(checkpointPath, { force: true });
+
+  const snapshotPath = options.snapshotDir
+    ? saveSnapshot(options.snapshotDir, "gitlab", projects, COLUMN_EXTRACTORS, {
+        crawledAt: state.startedAt,
+        group: groupPath,
+        backend,
+        incremental: Boolean(state.since),
+        missingDetails: failures.length,
+        durationMs: Date.now() - startedMs,
+      })
+    : "";
+
+  return { projects, failures, columns, outputPath, snapshotPath };
+}
+
+module.exports = {
+  GITLAB_DEFAULT_COLUMNS: DEFAULT_COLUMNS,
+  GITLAB_COLUMN_EXTRACTORS: COLUMN_EXTRACTORS,
+  parseGitlabColumns,
+  fromGraphqlProject,
+  newCheckpoint,
+  loadCheckpoint,
+  saveCheckpoint,
+  createProgress,
+  reuseCachedDetails,
+  crawlGitlab,
+};
@@ -0,0 +1,209 @@
+const {
+  RETRYABLE_STATUS_CODES,
+  RETRYABLE_ERROR_CODES,
+  sleep,
+  readIntEnv,
+  retryAfterDelay,
+  backoffDelay,
+  jitter,
+  httpsRequest,
+} = require("./http");
+const { GitLabApiError } = require("./errors");
+
+function gitlabApiBase(baseUrl) {
+  return `${String(baseUrl || "https://gitlab.com").replace(/\/$/, "")}/api/v4`;
+}
+
+function rateLimitResetDelay(headers = {}) {
+  if (headers["ratelimit-remaining"] !== "0") {
+    return null;
+  }
+  const reset = Number(headers["ratelimit-reset"]);
+  if (Number.isNaN(reset)) {
+    return null;
+  }
+  return Math.max(reset * 1000 - Date.now(), 0);
+}
+
+function isRetryableError(error) {
+  if (error.statusCode) {
+    return RETRYABLE_STATUS_CODES.has(error.statusCode);
+  }
+  return RETRYABLE_ERROR_CODES.has(error.code);
+}
+
+function retryDelay(attempt, headers) {
+  const hinted = retryAfterDelay(headers) ?? rateLimitResetDelay(headers);
+  if (hinted !== null) {
+    return jitter(hinted);
+  }
+  return backoffDelay(
+    attempt,
+    readIntEnv("GITLAB_RETRY_BASE_MS", 500),
+    readIntEnv("GITLAB_RETRY_MAX_MS", 30000),
+  );
+}
+
+async function gitlabRequestOnce(method, url, headers, body) {
+  const response = await httpsRequest(
+    method,
+    url,
+    headers,
+    body,
+    readIntEnv("GITLAB_REQUEST_TIMEOUT_MS", 30000),
+  );
+  if (response.statusCode >= 400) {
+    const error = new Error(
+      `GitLab request failed with status ${response.statusCode}`,
+    );
+    error.statusCode = response.statusCode;
+    error.body = response.body;
+    error.headers = response.headers;
+    throw error;
+  }
+  return { body: response.body, headers: response.headers };
+}
+
+// Retries 429s, 5xx responses and dropped connections with exponential
+// backoff, preferring the server's Retry-After / RateLimit-Reset hints.
+// `options.onRetry` lets callers react to throttling (e.g. by reducing
+// their own concurrency).
+async function gitlabRequest(method, url, headers = {}, options = {}) {
+  const maxRetries = readIntEnv("GITLAB_MAX_RETRIES", 5);
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const response = await gitlabRequestOnce(
+        method,
+        url,
+        headers,
+        options.body,
+      );
+      const pause = rateLimitResetDelay(response.headers);
+      if (pause) {
+        if (options.onRetry) {
+          options.onRetry({ throttled: true, attempt, delay: pause });
+        }
+        await sleep(pause);
+      }
+      return response;
+    } catch (error) {
+      if (!isRetryableError(error) || attempt >= maxRetries) {
+        throw new GitLabApiError(
+          error.statusCode
+            ? error.message
+            : `GitLab request failed: ${error.message}`,
+          {
+            statusCode: error.statusCode,
+            body: error.body,
+            headers: error.headers,
+            attempts: attempt + 1,
+            cause: error,
+            ...(error.statusCode ? {} : { code: error.code }),
+          },
+        );
+      }
+      const delay = retryDelay(attempt, error.headers);
+      if (options.onRetry) {
+        options.onRetry({
+          throttled: error.statusCode === 429,
+          statusCode: error.statusCode,
+          code: error.code,
+          attempt: attempt + 1,
+          delay,
+        });
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+function gitlabGet(url, headers = {}, options = {}) {
+  return gitlabRequest("GET", url, headers, options);
+}
+
+function gitlabPost(url, headers = {}, options = {}) {
+  return gitlabRequest("POST", url, headers, options);
+}
+
+function parseJson(body, what) {
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new GitLabApiError(`Failed to parse GitLab ${what} as JSON.`, {
+      body,
+      cause: error,
+    });
+  }
+}
+
+async function gitlabJson(apiBase, token, endpoint, options = {}) {
+  const { body } = await gitlabGet(
+    `${apiBase}${endpoint}`,
+    { "PRIVATE-TOKEN": token },
+    options,
+  );
+  return parseJson(body, `response for '${endpoint}'`);
+}
+
+// Follows GitLab's x-next-page header until every page of `endpoint` has
+// been read. `params` are added to every page request.
+async function gitlabPaginate(apiBase, token, endpoint, params = {}) {
+  const records = [];
+  let page = 1;
+
+  while (true) {
+    const url = new URL(`${apiBase}${endpoint}`);
+    for (const [key, value] of Object.entries(params)) {
+      url.searchParams.set(key, String(value));
+    }
+    url.searchParams.set("per_page", "100");
+    url.searchParams.set("page", String(page));
+
+    const response = await gitlabGet(url.toString(), { "PRIVATE-TOKEN": token });
+    const data = parseJson(response.body, `response for '${endpoint}'`);
+    if (!Array.isArray(data) || data.length === 0) {
+      break;
+    }
+    records.push(...data);
+
+    const nextPage = parseInt(response.headers["x-next-page"] || "", 10);
+    if (Number.isNaN(nextPage) || nextPage < 1) {
+      break;
+    }
+    page = nextPage;
+  }
+
+  return records;
+}
+
+async function gitlabGraphql(baseUrl, token, query, variables) {
+  const { body } = await gitlabRequest(
+    "POST",
+    `${String(baseUrl).replace(/\/$/, "")}/api/graphql`,
+    {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    { body: JSON.stringify({ query, variables }) },
+  );
+  const payload = parseJson(body, "GraphQL response");
+  if (Array.isArray(payload.errors) && payload.errors.length > 0) {
+    const messages = payload.errors.map((item) => item.message).join("; ");
+    throw new GitLabApiError(`GitLab GraphQL query failed: ${messages}`, {
+      body,
+    });
+  }
+  return payload.data || {};
+}
+
+module.exports = {
+  gitlabApiBase,
+  rateLimitResetDelay,
+  retryDelay,
+  gitlabRequest,
+  gitlabGet,
+  gitlabPost,
+  gitlabJson,
+  gitlabPaginate,
+  gitlabGraphql,
+};
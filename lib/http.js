@@ -0,0 +1,83 @@
+const https = require("https");
+
+const RETRYABLE_STATUS_CODES = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function readIntEnv(name, fallback) {
+  const parsed = parseInt(process.env[name] || "", 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+function retryAfterDelay(headers = {}) {
+  const retryAfter = headers["retry-after"];
+  if (!retryAfter) {
+    return null;
+  }
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = new Date(retryAfter);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return Math.max(date.getTime() - Date.now(), 0);
+}
+
+function backoffDelay(attempt, baseMs, maxMs) {
+  const ceiling = Math.min(baseMs * 2 ** attempt, maxMs);
+  return Math.floor(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function jitter(ms) {
+  return ms + Math.floor(Math.random() * 250);
+}
+
+// Resolves with the raw response for every status code; callers decide what
+// counts as an error. Network failures and timeouts reject.
+function httpsRequest(method, url, headers, body, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const req = https.request(url, { method, headers }, (res) => {
+      let data = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        data += chunk;
+      });
+      res.on("end", () => {
+        resolve({
+          statusCode: res.statusCode || 0,
+          body: data,
+          headers: res.headers,
+        });
+      });
+    });
+    req.setTimeout(timeoutMs, () => {
+      const error = new Error("Request timed out");
+      error.code = "ETIMEDOUT";
+      req.destroy(error);
+    });
+    req.on("error", (error) => reject(error));
+    req.end(body);
+  });
+}
+
+module.exports = {
+  RETRYABLE_STATUS_CODES,
+  RETRYABLE_ERROR_CODES,
+  sleep,
+  readIntEnv,
+  retryAfterDelay,
+  backoffDelay,
+  jitter,
+  httpsRequest,
+};
@@ -0,0 +1,212 @@
+const { matchProjects } = require("./matching");
+const { ConfigError } = require("./errors");
+const { parseDuration } = require("./duration");
+
+const DEFAULT_TIME_ZONE = "Pacific/Auckland";
+const DEFAULT_LOCALE = "en-NZ";
+
+// How far GitLab's timestamp is ahead of GitHub's pushed_at, for results
+// where it is ahead at all. Drift up to `toleranceMs` (mirror lag,
+// housekeeping) is not counted as gitlab_newer.
+const DRIFT_SEVERITIES = [
+  "within_tolerance",
+  "minutes",
+  "hours",
+  "days",
+  "weeks",
+];
+
+const DEFAULT_DRIFT = {
+  toleranceMs: 0,
+  hoursAfterMs: 60 * 60 * 1000,
+  daysAfterMs: 24 * 60 * 60 * 1000,
+  weeksAfterMs: 7 * 24 * 60 * 60 * 1000,
+};
+
+function getGithubTimestamp(record) {
+  return record.pushed_at || record.pushedAt || "";
+}
+
+function pickGitlabTimestamp(project) {
+  return (
+    project.last_repository_updated_at ||
+    project.last_activity_at ||
+    ""
+  );
+}
+
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    return null;
+  }
+  return parsed;
+}
+
+// Formats a timestamp for people in `options.timeZone` / `options.locale`,
+// which default to New Zealand time.
+function formatDate(value, options = {}) {
+  const date = toDate(value);
+  if (!date) {
+    return "n/a";
+  }
+  return new Intl.DateTimeFormat(options.locale || DEFAULT_LOCALE, {
+    timeZone: options.timeZone || DEFAULT_TIME_ZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).format(date);
+}
+
+function formatNzDate(value) {
+  return formatDate(value);
+}
+
+// Fails on a time zone or locale Intl does not know before anything is
+// crawled or compared, rather than on the first date a script prints.
+function displayOptionsFromConfig(config) {
+  const timeZone = config.displayTimeZone || DEFAULT_TIME_ZONE;
+  const locale = config.displayLocale || DEFAULT_LOCALE;
+  try {
+    new Intl.DateTimeFormat(locale, { timeZone });
+  } catch (error) {
+    throw new ConfigError(
+      `Invalid DISPLAY_TIME_ZONE '${timeZone}' or DISPLAY_LOCALE '${locale}': ${error.message}`,
+    );
+  }
+  return { timeZone, locale };
+}
+
+// The severity buckets only make sense in order, so a threshold that
+// overtakes the next one is a configuration mistake, not an empty bucket.
+function driftOptionsFromConfig(config) {
+  const drift = {
+    toleranceMs: parseDuration(config.driftTolerance, "DRIFT_TOLERANCE"),
+    hoursAfterMs: parseDuration(config.driftHoursAfter, "DRIFT_HOURS_AFTER"),
+    daysAfterMs: parseDuration(config.driftDaysAfter, "DRIFT_DAYS_AFTER"),
+    weeksAfterMs: parseDuration(config.driftWeeksAfter, "DRIFT_WEEKS_AFTER"),
+  };
+  if (
+    drift.toleranceMs > drift.hoursAfterMs ||
+    drift.hoursAfterMs >= drift.daysAfterMs ||
+    drift.daysAfterMs >= drift.weeksAfterMs
+  ) {
+    throw new ConfigError(
+      `Drift thresholds must satisfy DRIFT_TOLERANCE <= DRIFT_HOURS_AFTER < DRIFT_DAYS_AFTER < DRIFT_WEEKS_AFTER (got ${config.driftTolerance}, ${config.driftHoursAfter}, ${config.driftDaysAfter}, ${config.driftWeeksAfter}).`,
+    );
+  }
+  return { drift };
+}
+
+function driftSeverity(driftMs, drift) {
+  if (driftMs <= drift.toleranceMs) {
+    return "within_tolerance";
+  }
+  if (driftMs < drift.hoursAfterMs) {
+    return "minutes";
+  }
+  if (driftMs < drift.daysAfterMs) {
+    return "hours";
+  }
+  return driftMs < drift.weeksAfterMs ? "days" : "weeks";
+}
+
+function classify(githubDate, gitlabDate, drift) {
+  if (!githubDate && !gitlabDate) {
+    return "unknown_timestamps";
+  }
+  if (!githubDate) {
+    return "gitlab_has_timestamp_only";
+  }
+  if (!gitlabDate) {
+    return "github_has_timestamp_only";
+  }
+  const driftMs = gitlabDate.getTime() - githubDate.getTime();
+  if (driftMs <= 0) {
+    return "github_newer_or_equal";
+  }
+  return driftMs > drift.toleranceMs ? "gitlab_newer" : "within_tolerance";
+}
+
+const STATUS_COUNTERS = {
+  unknown_timestamps: "unknown",
+  gitlab_has_timestamp_only: "gitlabNewer",
+  github_has_timestamp_only: "githubNewerOrEqual",
+  gitlab_newer: "gitlabNewer",
+  within_tolerance: "withinTolerance",
+  github_newer_or_equal: "githubNewerOrEqual",
+};
+
+// Compares GitHub pushed_at with GitLab's repository timestamp for every
+// matched pair of crawl report records (see matchProjects for `options`).
+// `options.drift` overrides DEFAULT_DRIFT; results where GitLab is ahead
+// carry the drift and its severity, and `counters.drift` is their histogram.
+function compareLastChanges(githubRecords, gitlabRecords, options = {}) {
+  const drift = { ...DEFAULT_DRIFT, ...options.drift };
+  const { pairs, missingInGitLab, ambiguous, invalidOverrides } =
+    matchProjects(githubRecords, gitlabRecords, options);
+  const results = [];
+  const counters = {
+    compared: 0,
+    missingInGitLab: missingInGitLab.length,
+    ambiguous: ambiguous.length,
+    gitlabNewer: 0,
+    withinTolerance: 0,
+    githubNewerOrEqual: 0,
+    unknown: 0,
+    drift: Object.fromEntries(DRIFT_SEVERITIES.map((key) => [key, 0])),
+  };
+
+  for (const { name, github, gitlab } of pairs) {
+    counters.compared += 1;
+    const githubPushedAt = getGithubTimestamp(github);
+    const gitlabUpdatedAt = pickGitlabTimestamp(gitlab);
+    const githubDate = toDate(githubPushedAt);
+    const gitlabDate = toDate(gitlabUpdatedAt);
+    const status = classify(githubDate, gitlabDate, drift);
+    counters[STATUS_COUNTERS[status]] += 1;
+    const driftMs =
+      githubDate && gitlabDate
+        ? gitlabDate.getTime() - githubDate.getTime()
+        : null;
+    const severity = driftMs > 0 ? driftSeverity(driftMs, drift) : "";
+    if (severity) {
+      counters.drift[severity] += 1;
+    }
+    results.push({
+      name,
+      gitlabPath: gitlab.path_with_namespace || "",
+      githubNameWithOwner: github.name_with_owner || github.nameWithOwner || "",
+      githubPushedAt,
+      gitlabUpdatedAt,
+      status,
+      driftSeconds: driftMs === null ? null : Math.round(driftMs / 1000),
+      severity,
+    });
+  }
+
+  return { results, counters, drift, ambiguous, invalidOverrides };
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  DEFAULT_LOCALE,
+  DRIFT_SEVERITIES,
+  DEFAULT_DRIFT,
+  getGithubTimestamp,
+  pickGitlabTimestamp,
+  toDate,
+  formatDate,
+  formatNzDate,
+  displayOptionsFromConfig,
+  driftOptionsFromConfig,
+  driftSeverity,
+  compareLastChanges,
+};
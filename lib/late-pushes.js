@@ -0,0 +1,189 @@
+const { gitlabApiBase, gitlabPaginate } = require("./gitlab");
+const { resolveGithubToken } = require("./github");
+const { fetchGithubRefs } = require("./verify-refs");
+const { toDate } = require("./last-change");
+const { mapConcurrent, clampConcurrency } = require("./concurrency");
+const { silentLogger } = require("./logger");
+const { ConfigError } = require("./errors");
+
+const LATE_PUSH_HEADERS = [
+  "author_name",
+  "author_email",
+  "gitlab_path",
+  "github_name_with_owner",
+  "branches",
+  "new_branch",
+  "committed_at",
+  "sha",
+  "title",
+  "web_url",
+  "error",
+];
+
+function authorKey(row) {
+  return String(row.author_email || row.author_name || "unknown").toLowerCase();
+}
+
+// GitLab returns committed dates with the author's UTC offset, so they only
+// order correctly as instants, not as strings.
+function commitTime(value) {
+  return Date.parse(value) || 0;
+}
+
+// Lists the commits on every GitLab branch whose head is newer than GitHub's
+// pushed_at, committed after that moment. A commit reachable from several
+// such branches is reported once with all of them. `new_branch` marks
+// branches GitHub does not have at all.
+async function fetchLatePushes(apiBase, token, githubToken, entry) {
+  const since = toDate(entry.githubPushedAt);
+  const base = Object.fromEntries(LATE_PUSH_HEADERS.map((key) => [key, ""]));
+  base.gitlab_path = entry.gitlabPath;
+  base.github_name_with_owner = entry.githubNameWithOwner;
+  if (!since) {
+    return [{ ...base, error: "GitHub pushed_at unknown" }];
+  }
+  const projectId = encodeURIComponent(entry.gitlabPath);
+  try {
+    const branches = await gitlabPaginate(
+      apiBase,
+      token,
+      `/projects/${projectId}/repository/branches`,
+    );
+    const lateBranches = branches.filter((branch) => {
+      const committed = toDate(branch.commit && branch.commit.committed_date);
+      return committed && committed.getTime() > since.getTime();
+    });
+    if (lateBranches.length === 0) {
+      return [];
+    }
+    const githubBranches = entry.githubNameWithOwner
+      ? await fetchGithubRefs(entry.githubNameWithOwner, "heads", githubToken)
+      : {};
+
+    const commits = new Map();
+    for (const branch of lateBranches) {
+      const records = await gitlabPaginate(
+        apiBase,
+        token,
+        `/projects/${projectId}/repository/commits`,
+        { ref_name: branch.name, since: since.toISOString() },
+      );
+      for (const commit of records) {
+        const row = commits.get(commit.id) || {
+          ...base,
+          author_name: commit.author_name,
+          author_email: commit.author_email,
+          branches: [],
+          new_branch: false,
+          committed_at: commit.committed_date,
+          sha: commit.id,
+          title: commit.title,
+          web_url: commit.web_url,
+          error: "",
+        };
+        row.branches.push(branch.name);
+        if (!Object.prototype.hasOwnProperty.call(githubBranches, branch.name)) {
+          row.new_branch = true;
+        }
+        commits.set(commit.id, row);
+      }
+    }
+    return Array.from(commits.values()).map((row) => ({
+      ...row,
+      branches: row.branches.join("; "),
+    }));
+  } catch (error) {
+    return [{ ...base, error: error.message }];
+  }
+}
+
+// One entry per author (by e-mail) with their commit rows, most commits
+// first.
+function groupLatePushesByAuthor(rows) {
+  const authors = new Map();
+  for (const row of rows) {
+    if (row.error) {
+      continue;
+    }
+    const key = authorKey(row);
+    const author = authors.get(key) || {
+      author_name: row.author_name,
+      author_email: row.author_email,
+      commits: 0,
+      repos: new Set(),
+      rows: [],
+      first_committed_at: row.committed_at,
+      last_committed_at: row.committed_at,
+    };
+    author.commits += 1;
+    author.rows.push(row);
+    author.repos.add(row.gitlab_path);
+    if (commitTime(row.committed_at) < commitTime(author.first_committed_at)) {
+      author.first_committed_at = row.committed_at;
+    }
+    if (commitTime(row.committed_at) > commitTime(author.last_committed_at)) {
+      author.last_committed_at = row.committed_at;
+    }
+    authors.set(key, author);
+  }
+  return Array.from(authors.values())
+    .map((author) => ({
+      ...author,
+      repos: Array.from(author.repos).sort(),
+    }))
+    .sort(
+      (a, b) =>
+        b.commits - a.commits ||
+        String(a.author_name).localeCompare(String(b.author_name)),
+    );
+}
+
+// Follows up compareLastChanges: for each `gitlab_newer` result, finds what
+// landed on GitLab after GitHub's last push and who wrote it.
+async function findLatePushes(results, options = {}) {
+  const logger = options.logger || silentLogger;
+  if (!options.gitlabToken) {
+    throw new ConfigError(
+      "GITLAB_TOKEN missing. Set it before running this script.",
+    );
+  }
+  const apiBase = gitlabApiBase(options.gitlabUrl);
+  const githubToken = await resolveGithubToken(options.githubToken);
+  const newer = results.filter((entry) => entry.status === "gitlab_newer");
+
+  logger.log(`Listing late GitLab commits for ${newer.length} repos ...`);
+  const perRepo = await mapConcurrent(
+    newer,
+    clampConcurrency(options.concurrency, 4, 8),
+    (entry) => fetchLatePushes(apiBase, options.gitlabToken, githubToken, entry),
+    (done, total) => {
+      if (done % 25 === 0 || done === total) {
+        logger.log(`  Checked ${done}/${total} repos...`);
+      }
+    },
+  );
+  const rows = perRepo.flat().sort(
+    (a, b) =>
+      authorKey(a).localeCompare(authorKey(b)) ||
+      commitTime(b.committed_at) - commitTime(a.committed_at),
+  );
+  const commits = rows.filter((row) => !row.error);
+  return {
+    rows,
+    authors: groupLatePushesByAuthor(commits),
+    counts: {
+      repos_checked: newer.length,
+      repos_with_late_commits: new Set(commits.map((row) => row.gitlab_path))
+        .size,
+      late_commits: commits.length,
+      authors: new Set(commits.map(authorKey)).size,
+      errors: rows.length - commits.length,
+    },
+  };
+}
+
+module.exports = {
+  LATE_PUSH_HEADERS,
+  groupLatePushesByAuthor,
+  findLatePushes,
+};
@@ -0,0 +1,348 @@
+const fs = require("fs");
+const path = require("path");
+const { readCsv } = require("./csv");
+const { readGithubReport } = require("./reports");
+const { matchProjects } = require("./matching");
+const { checkShaParityRow } = require("./sha-parity");
+const { listSnapshots, loadSnapshot } = require("./snapshots");
+const { ConfigError } = require("./errors");
+
+// Lifecycle of a GitLab project, in order. Each state after the first is
+// only entered when its check in LEDGER_CHECKS passes.
+const LEDGER_STATES = [
+  "not_started",
+  "mirrored",
+  "verified",
+  "gitlab_archived",
+  "retired",
+];
+
+const LEDGER_HEADERS = [
+  "gitlab_id",
+  "gitlab_path",
+  "github_name_with_owner",
+  "state",
+  "updated_at",
+  "updated_by",
+  "exception",
+];
+
+// Ref report statuses that mean GitLab still has something GitHub lacks.
+const BLOCKING_REF_STATUSES = ["missing_on_github", "sha_mismatch", "error"];
+
+function isTrue(value) {
+  return value === true || value === "true";
+}
+
+function lowerKey(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+// The check guarding the move into each state. `evidence` is built by
+// loadLedgerEvidence; each check returns whether it passed and why.
+const LEDGER_CHECKS = {
+  mirrored: (entry, evidence) => {
+    const repo = evidence.githubByProjectId.get(String(entry.id));
+    return repo
+      ? { ok: true, reason: `GitHub repo ${repoName(repo)} exists` }
+      : { ok: false, reason: "no matching GitHub repo" };
+  },
+  verified: (entry, evidence) => {
+    if (!evidence.parityByPath) {
+      return { ok: false, reason: "no SHA parity report" };
+    }
+    const parity = evidence.parityByPath.get(lowerKey(entry.path));
+    if (!parity) {
+      return { ok: false, reason: "not in SHA parity report" };
+    }
+    const parityCheck = checkShaParityRow(
+      parity,
+      evidence.gitlabById.get(String(entry.id)),
+    );
+    if (!parityCheck.ok) {
+      return parityCheck;
+    }
+    const refProblems = evidence.refProblemsByPath
+      ? evidence.refProblemsByPath.get(lowerKey(entry.path)) || 0
+      : 0;
+    if (refProblems > 0) {
+      return { ok: false, reason: `${refProblems} refs missing or mismatched` };
+    }
+    return {
+      ok: true,
+      reason: `sha_parity=${parity.status}${
+        evidence.refProblemsByPath ? ", refs verified" : ""
+      }`,
+    };
+  },
+  gitlab_archived: (entry, evidence) => {
+    const project = evidence.gitlabById.get(String(entry.id));
+    return project && isTrue(project.archived)
+      ? { ok: true, reason: "GitLab project archived" }
+      : { ok: false, reason: "GitLab project not archived" };
+  },
+  retired: (entry, evidence) => {
+    const repo = evidence.githubByProjectId.get(String(entry.id));
+    return repo && isTrue(repo.archived || repo.isArchived)
+      ? { ok: true, reason: `GitHub repo ${repoName(repo)} archived` }
+      : { ok: false, reason: "GitHub repo not archived" };
+  },
+};
+
+function repoName(repo) {
+  return repo.name_with_owner || repo.nameWithOwner || repo.name || "";
+}
+
+function loadLedger(pathname) {
+  if (!fs.existsSync(pathname)) {
+    return { projects: {} };
+  }
+  let ledger;
+  try {
+    ledger = JSON.parse(fs.readFileSync(pathname, "utf8"));
+  } catch (error) {
+    throw new ConfigError(
+      `Migration ledger '${pathname}' is not valid JSON: ${error.message}`,
+      { cause: error },
+    );
+  }
+  if (!ledger || typeof ledger.projects !== "object") {
+    throw new ConfigError(`'${pathname}' is not a migration ledger.`);
+  }
+  return ledger;
+}
+
+function saveLedger(pathname, ledger) {
+  const dir = path.dirname(pathname);
+  if (dir) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const tmpPath = `${pathname}.tmp`;
+  fs.writeFileSync(tmpPath, `${JSON.stringify(ledger, null, 2)}\n`, "utf8");
+  fs.renameSync(tmpPath, pathname);
+}
+
+// The ledger is keyed by GitLab project ID. The latest crawl snapshot is
+// preferred; reports crawled with `--columns` leaving out `id` cannot be used.
+function loadLedgerProjects(options) {
+  const snapshots = options.snapshotDir
+    ? listSnapshots(options.snapshotDir, "gitlab")
+    : [];
+  if (snapshots.length > 0) {
+    const snapshot = loadSnapshot(snapshots[snapshots.length - 1]);
+    return { projects: snapshot.items, source: snapshot.path };
+  }
+  if (options.gitlabReportPath && fs.existsSync(options.gitlabReportPath)) {
+    const projects = readCsv(options.gitlabReportPath);
+    if (projects.length === 0 || projects[0].id) {
+      return { projects, source: options.gitlabReportPath };
+    }
+  }
+  throw new ConfigError(
+    "The ledger needs GitLab project IDs: run crawl_gitlab.js with snapshots enabled (SNAPSHOT_DIR) or with an `id` column.",
+  );
+}
+
+// Reads everything the checks look at: the GitLab projects (by ID), the
+// GitHub repo matched to each, and the SHA parity and ref reports if present.
+function loadLedgerEvidence(options) {
+  const { projects, source } = loadLedgerProjects(options);
+  const githubRecords = readGithubReport(options.githubReportPath);
+  const matched = matchProjects(githubRecords, projects, options);
+  const evidence = {
+    projects,
+    source,
+    gitlabById: new Map(
+      projects.map((project) => [String(project.id), project]),
+    ),
+    githubByProjectId: new Map(
+      matched.pairs.map((pair) => [String(pair.gitlab.id), pair.github]),
+    ),
+    parityByPath: null,
+    refProblemsByPath: null,
+    ambiguous: matched.ambiguous,
+    invalidOverrides: matched.invalidOverrides,
+  };
+  const parityPath = options.shaParityReportPath;
+  if (parityPath && fs.existsSync(parityPath)) {
+    evidence.parityByPath = new Map(
+      readCsv(parityPath).map((row) => [
+        lowerKey(row.gitlab_path_with_namespace),
+        row,
+      ]),
+    );
+  }
+  if (options.refsReportPath && fs.existsSync(options.refsReportPath)) {
+    evidence.refProblemsByPath = new Map();
+    for (const row of readCsv(options.refsReportPath)) {
+      if (BLOCKING_REF_STATUSES.includes(row.status)) {
+        const key = lowerKey(row.gitlab_path_with_namespace);
+        evidence.refProblemsByPath.set(
+          key,
+          (evidence.refProblemsByPath.get(key) || 0) + 1,
+        );
+      }
+    }
+  }
+  return evidence;
+}
+
+function record(entry, change, actor, at) {
+  entry.history.push({ ...change, by: actor, at });
+  entry.updatedAt = at;
+  entry.updatedBy = actor;
+}
+
+// Adds every crawled project missing from the ledger as not_started and
+// refreshes the path and GitHub repo of known ones (renames keep their ID).
+function syncLedger(ledger, evidence, actor, at = new Date().toISOString()) {
+  const counts = { added: 0, renamed: 0, gone: 0 };
+  for (const project of evidence.projects) {
+    const id = String(project.id);
+    const repo = evidence.githubByProjectId.get(id);
+    let entry = ledger.projects[id];
+    if (!entry) {
+      entry = {
+        id: project.id,
+        path: project.path_with_namespace,
+        github: "",
+        state: LEDGER_STATES[0],
+        exception: null,
+        history: [],
+      };
+      ledger.projects[id] = entry;
+      record(entry, { to: entry.state, note: "added" }, actor, at);
+      counts.added += 1;
+    } else if (entry.path !== project.path_with_namespace) {
+      record(entry, { note: `renamed from ${entry.path}` }, actor, at);
+      entry.path = project.path_with_namespace;
+      counts.renamed += 1;
+    }
+    entry.github = repo ? repoName(repo) : entry.github;
+  }
+  counts.gone = Object.keys(ledger.projects).filter(
+    (id) => !evidence.gitlabById.has(id),
+  ).length;
+  return counts;
+}
+
+// Finds a ledger entry by GitLab project ID or path.
+function findLedgerEntry(ledger, ref) {
+  const wanted = lowerKey(ref);
+  const entry =
+    ledger.projects[wanted] ||
+    Object.values(ledger.projects).find(
+      (candidate) => lowerKey(candidate.path) === wanted,
+    );
+  if (!entry) {
+    throw new ConfigError(
+      `'${ref}' is not in the ledger. Run \`ledger sync\` first.`,
+    );
+  }
+  return entry;
+}
+
+// Moves each entry forward one state at a time for as long as the next
+// state's check passes, recording the check's reason as evidence. Entries
+// with an exception are left alone. Returns one result per entry.
+function advanceLedger(
+  ledger,
+  evidence,
+  entries,
+  actor,
+  at = new Date().toISOString(),
+) {
+  return entries.map((entry) => {
+    const result = {
+      gitlab_id: entry.id,
+      gitlab_path: entry.path,
+      from: entry.state,
+      to: entry.state,
+      blocked_by: "",
+    };
+    if (entry.exception) {
+      result.blocked_by = `exception: ${entry.exception.reason}`;
+      return result;
+    }
+    let index = LEDGER_STATES.indexOf(entry.state);
+    while (index < LEDGER_STATES.length - 1) {
+      const next = LEDGER_STATES[index + 1];
+      const check = LEDGER_CHECKS[next](entry, evidence);
+      if (!check.ok) {
+        result.blocked_by = `${next}: ${check.reason}`;
+        break;
+      }
+      record(
+        entry,
+        { from: entry.state, to: next, evidence: check.reason },
+        actor,
+        at,
+      );
+      entry.state = next;
+      index += 1;
+    }
+    result.to = entry.state;
+    return result;
+  });
+}
+
+function setLedgerException(
+  entry,
+  reason,
+  actor,
+  at = new Date().toISOString(),
+) {
+  if (reason) {
+    entry.exception = { reason, by: actor, at };
+    record(entry, { note: `exception: ${reason}` }, actor, at);
+  } else if (entry.exception) {
+    entry.exception = null;
+    record(entry, { note: "exception cleared" }, actor, at);
+  }
+  return entry;
+}
+
+function ledgerRows(ledger) {
+  return Object.values(ledger.projects)
+    .sort((a, b) => String(a.path).localeCompare(String(b.path)))
+    .map((entry) => ({
+      gitlab_id: entry.id,
+      gitlab_path: entry.path,
+      github_name_with_owner: entry.github,
+      state: entry.state,
+      updated_at: entry.updatedAt,
+      updated_by: entry.updatedBy,
+      exception: entry.exception ? entry.exception.reason : "",
+    }));
+}
+
+// Entries per state, plus how many carry an exception.
+function ledgerCounts(ledger) {
+  const counts = {};
+  for (const state of LEDGER_STATES) {
+    counts[state] = 0;
+  }
+  counts.exceptions = 0;
+  for (const entry of Object.values(ledger.projects)) {
+    counts[entry.state] += 1;
+    if (entry.exception) {
+      counts.exceptions += 1;
+    }
+  }
+  return counts;
+}
+
+module.exports = {
+  LEDGER_STATES,
+  LEDGER_HEADERS,
+  LEDGER_CHECKS,
+  loadLedger,
+  saveLedger,
+  loadLedgerEvidence,
+  syncLedger,
+  findLedgerEntry,
+  advanceLedger,
+  setLedgerException,
+  ledgerRows,
+  ledgerCounts,
+};
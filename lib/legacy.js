@@ -0,0 +1,63 @@
+const { matchProjects, nameKey } = require("./matching");
+
+// Splits the GitLab projects under `legacyGroupPath` into those with a
+// matching GitHub repo and those still missing from GitHub. Projects that
+// are candidates of an ambiguous name count as neither.
+function findLegacyProjects(
+  githubRecords,
+  gitlabRecords,
+  legacyGroupPath,
+  options = {},
+) {
+  const legacyPrefix = String(legacyGroupPath || "").toLowerCase();
+  const matched = matchProjects(githubRecords, gitlabRecords, options);
+  const githubByProject = new Map(
+    matched.pairs.map((pair) => [pair.gitlab, pair.github]),
+  );
+  const ambiguousProjects = new Set(
+    matched.ambiguous.flatMap((entry) => entry.candidates),
+  );
+
+  const legacyProjects = gitlabRecords.filter((project) => {
+    const pathWithNamespace = (project.path_with_namespace || "").toLowerCase();
+    return pathWithNamespace.startsWith(legacyPrefix);
+  });
+
+  const matches = [];
+  const missing = [];
+
+  for (const project of legacyProjects) {
+    if (!nameKey(project) || ambiguousProjects.has(project)) {
+      continue;
+    }
+    const repo = githubByProject.get(project);
+    if (repo) {
+      matches.push({
+        name: project.name,
+        githubArchived: repo.archived || repo.isArchived || "",
+        githubVisibility: repo.visibility || "",
+        githubUrl: repo.url || "",
+        gitlabArchived: project.archived,
+        gitlabPath: project.path_with_namespace,
+        gitlabUrl: project.web_url,
+      });
+    } else {
+      missing.push({
+        name: project.name,
+        gitlabArchived: project.archived,
+        gitlabPath: project.path_with_namespace,
+        gitlabUrl: project.web_url,
+      });
+    }
+  }
+
+  return {
+    legacyProjects,
+    matches,
+    missing,
+    ambiguous: matched.ambiguous,
+    invalidOverrides: matched.invalidOverrides,
+  };
+}
+
+module.exports = { findLegacyProjects };
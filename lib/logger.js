@@ -0,0 +1,8 @@
+// Library functions stay quiet unless the caller passes a logger; the CLIs
+// pass `console`.
+const silentLogger = {
+  log() {},
+  warn() {},
+};
+
+module.exports = { silentLogger };
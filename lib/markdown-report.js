@@ -0,0 +1,200 @@
+const { compareArchiveStatus, isArchivedValue } = require("./archive-status");
+const {
+  DEFAULT_TIME_ZONE,
+  compareLastChanges,
+  formatDate,
+} = require("./last-change");
+const { matchProjects } = require("./matching");
+const {
+  markdownTable,
+  markdownCode,
+  markdownLink,
+} = require("./markdown");
+
+// Hidden marker used to find (and update) the report comment on an issue.
+const REPORT_MARKER = "<!-- migration-audit-report -->";
+
+// GitHub rejects comment bodies over 65536 characters.
+const MAX_COMMENT_LENGTH = 65000;
+
+const ACTION_HEADERS = [
+  "name",
+  "action",
+  "gitlab_path_with_namespace",
+  "gitlab_web_url",
+  "github_name_with_owner",
+  "github_url",
+];
+
+function actionItem(name, action, github, gitlab) {
+  return {
+    name,
+    action,
+    gitlab_path_with_namespace: (gitlab && gitlab.path_with_namespace) || "",
+    gitlab_web_url: (gitlab && gitlab.web_url) || "",
+    github_name_with_owner: github
+      ? github.name_with_owner || github.nameWithOwner || ""
+      : "",
+    github_url: (github && github.url) || "",
+  };
+}
+
+// Last-change statuses that make a still-active GitLab project safe to
+// archive or in need of a re-sync. Anything else (missing timestamps on
+// either side) is left for a person to review.
+const ARCHIVE_STATUSES = ["github_newer_or_equal", "within_tolerance"];
+const RESYNC_STATUSES = ["gitlab_newer", "gitlab_has_timestamp_only"];
+
+function reportAction(status) {
+  if (ARCHIVE_STATUSES.includes(status)) {
+    return "archive";
+  }
+  return RESYNC_STATUSES.includes(status) ? "resync" : "review";
+}
+
+// Runs the archive-status and last-change comparisons and turns their
+// results into per-project actions for the still-active GitLab projects:
+// "archive" when GitHub is up to date, "resync" when GitLab changed later,
+// "review" when the timestamps cannot tell.
+function buildMarkdownReportData(githubRecords, gitlabRecords, options = {}) {
+  const archiveStatus = compareArchiveStatus(
+    githubRecords,
+    gitlabRecords,
+    options,
+  );
+  const lastChange = compareLastChanges(githubRecords, gitlabRecords, options);
+  const { pairs } = matchProjects(githubRecords, gitlabRecords, options);
+  const statusByPath = new Map(
+    lastChange.results.map((result) => [result.gitlabPath, result.status]),
+  );
+
+  const sorted = [...pairs].sort((a, b) =>
+    a.name.toLowerCase().localeCompare(b.name.toLowerCase()),
+  );
+  const items = [];
+  const archived = [];
+  for (const { name, github, gitlab } of sorted) {
+    if (isArchivedValue(gitlab.archived)) {
+      archived.push(actionItem(name, "done", github, gitlab));
+      continue;
+    }
+    const action = reportAction(statusByPath.get(gitlab.path_with_namespace));
+    items.push(actionItem(name, action, github, gitlab));
+  }
+
+  return {
+    archiveCounters: archiveStatus.counters,
+    lastChangeCounters: lastChange.counters,
+    items,
+    archived,
+  };
+}
+
+function taskLine(item, checked) {
+  const gitlab = markdownLink(
+    item.gitlab_path_with_namespace,
+    item.gitlab_web_url,
+  );
+  const github = item.github_url
+    ? ` → ${markdownLink(item.github_name_with_owner, item.github_url)}`
+    : "";
+  return `- [${checked ? "x" : " "}] ${markdownCode(item.name)} — ${gitlab}${github}`;
+}
+
+function truncate(body, limit) {
+  if (body.length <= limit) {
+    return body;
+  }
+  const note =
+    "\n\n_Report truncated to fit in a GitHub comment; run `node report_markdown.js` for the full list._\n";
+  const cut = body.lastIndexOf("\n", limit - note.length - 20);
+  const kept = body.slice(0, cut);
+  const unclosed = kept.includes("<details>") && !kept.includes("</details>");
+  return `${kept}${unclosed ? "\n\n</details>" : ""}${note}`;
+}
+
+function renderMarkdownReport(data, options = {}) {
+  const generatedAt = options.generatedAt || new Date().toISOString();
+  const archiveItems = data.items.filter((item) => item.action === "archive");
+  const resyncItems = data.items.filter((item) => item.action === "resync");
+  const reviewItems = data.items.filter((item) => item.action === "review");
+  const { archiveCounters, lastChangeCounters } = data;
+
+  const sections = [
+    REPORT_MARKER,
+    "## GitLab → GitHub migration status",
+    `_Generated ${formatDate(generatedAt, options)} (${
+      options.timeZone || DEFAULT_TIME_ZONE
+    })._`,
+    "### Archive status",
+    markdownTable(
+      [
+        ["label", "Counter"],
+        ["value", "Repos"],
+      ],
+      [
+        { label: "GitHub repos checked", value: archiveCounters.total_github },
+        { label: "Archived on GitLab", value: archiveCounters.archived },
+        { label: "Still active on GitLab", value: archiveCounters.not_archived },
+        { label: "Missing in GitLab", value: archiveCounters.missing },
+        { label: "Ambiguous GitLab match", value: archiveCounters.ambiguous },
+      ],
+    ),
+    "### Last change",
+    markdownTable(
+      [
+        ["label", "Counter"],
+        ["value", "Repos"],
+      ],
+      [
+        { label: "Repos compared", value: lastChangeCounters.compared },
+        { label: "GitLab newer", value: lastChangeCounters.gitlabNewer },
+        {
+          label: "GitHub newer or equal",
+          value: lastChangeCounters.githubNewerOrEqual,
+        },
+        { label: "Unknown timestamps", value: lastChangeCounters.unknown },
+      ],
+    ),
+  ];
+
+  sections.push(`### Re-sync before archiving (${resyncItems.length})`);
+  sections.push(
+    resyncItems.length > 0
+      ? "GitLab has changes newer than GitHub's last push:\n\n" +
+          resyncItems.map((item) => taskLine(item, false)).join("\n")
+      : "_Nothing to re-sync._",
+  );
+  if (reviewItems.length > 0) {
+    sections.push(`### Needs review (${reviewItems.length})`);
+    sections.push(
+      "The timestamps cannot tell whether GitHub is up to date; check with `check_sha_parity.js` before archiving:\n\n" +
+        reviewItems.map((item) => taskLine(item, false)).join("\n"),
+    );
+  }
+  sections.push(`### Archive on GitLab (${archiveItems.length})`);
+  sections.push(
+    archiveItems.length > 0
+      ? archiveItems.map((item) => taskLine(item, false)).join("\n")
+      : "_All matching GitLab projects are archived._",
+  );
+  if (data.archived.length > 0) {
+    sections.push(
+      `<details><summary>Already archived (${data.archived.length})</summary>\n\n${data.archived
+        .map((item) => taskLine(item, true))
+        .join("\n")}\n\n</details>`,
+    );
+  }
+
+  return truncate(
+    `${sections.join("\n\n")}\n`,
+    options.maxLength || MAX_COMMENT_LENGTH,
+  );
+}
+
+module.exports = {
+  REPORT_MARKER,
+  ACTION_HEADERS,
+  buildMarkdownReportData,
+  renderMarkdownReport,
+};
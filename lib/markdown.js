@@ -0,0 +1,36 @@
+function markdownCell(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return text.replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+// Renders a GitHub-flavoured Markdown table. `headers` may be column names
+// or `[key, label]` pairs.
+function markdownTable(headers, rows) {
+  const columns = headers.map((header) =>
+    Array.isArray(header) ? header : [header, header],
+  );
+  const lines = [
+    `| ${columns.map(([, label]) => markdownCell(label)).join(" | ")} |`,
+    `| ${columns.map(() => "---").join(" | ")} |`,
+  ];
+  for (const row of rows) {
+    lines.push(
+      `| ${columns.map(([key]) => markdownCell(row[key])).join(" | ")} |`,
+    );
+  }
+  return lines.join("\n");
+}
+
+function markdownCode(value) {
+  return `\`${String(value || "").replace(/`/g, "'")}\``;
+}
+
+function markdownLink(text, url) {
+  const label = String(text || url || "").replace(/[[\]]/g, "\\$&");
+  return url ? `[${label}](${url})` : label;
+}
+
+module.exports = { markdownCell, markdownTable, markdownCode, markdownLink };
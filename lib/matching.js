@@ -0,0 +1,330 @@
+const fs = require("fs");
+const { readCsv } = require("./csv");
+const { ConfigError } = require("./errors");
+
+function nameKey(record) {
+  return (record.name || "").trim().toLowerCase();
+}
+
+// Indexes records by lowercased name, keeping the first occurrence and
+// collecting later ones as duplicates.
+function indexByName(records) {
+  const index = {};
+  const duplicates = {};
+  for (const record of records) {
+    const key = nameKey(record);
+    if (!key) {
+      continue;
+    }
+    if (index[key]) {
+      if (!duplicates[key]) {
+        duplicates[key] = [];
+      }
+      duplicates[key].push(record);
+    } else {
+      index[key] = record;
+    }
+  }
+  return { index, duplicates };
+}
+
+function pathKey(project) {
+  return (project.path_with_namespace || "").trim().toLowerCase();
+}
+
+// The project path below the audited group with slashes flattened to
+// dashes, e.g. batchnz/work/clients/website -> clients-website, which is how
+// subgroup projects usually get renamed when moved into a flat GitHub org.
+function flattenedPath(project, groupPath) {
+  const path = pathKey(project);
+  const prefix = `${String(groupPath || "").trim().toLowerCase()}/`;
+  const relative =
+    prefix !== "/" && path.startsWith(prefix)
+      ? path.slice(prefix.length)
+      : path.split("/").pop();
+  return relative.replace(/\//g, "-");
+}
+
+function lastSegment(project) {
+  return pathKey(project).split("/").pop() || "";
+}
+
+function overrideValue(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .trim()
+    .toLowerCase();
+}
+
+// GitHub names may be given as owner/name; only the name is matched.
+function githubNameValue(value) {
+  return overrideValue(value).split("/").pop();
+}
+
+// One object-form entry. Keys are GitLab project IDs (all digits), GitLab
+// paths (contain a slash) or GitHub repo names; the value is the other side.
+function entryFromPair(key, value) {
+  const trimmedKey = String(key).trim();
+  if (/^\d+$/.test(trimmedKey)) {
+    return { gitlabId: trimmedKey, githubName: githubNameValue(value) };
+  }
+  if (trimmedKey.includes("/")) {
+    return {
+      gitlabPath: overrideValue(trimmedKey),
+      githubName: githubNameValue(value),
+    };
+  }
+  const target = overrideValue(value);
+  return /^\d+$/.test(target)
+    ? { gitlabId: target, githubName: githubNameValue(trimmedKey) }
+    : { gitlabPath: target, githubName: githubNameValue(trimmedKey) };
+}
+
+// One row of a CSV file or JSON array.
+function entryFromRecord(record) {
+  return {
+    gitlabId: overrideValue(record.gitlab_id || record.gitlab_project_id),
+    gitlabPath: overrideValue(
+      record.gitlab_path || record.gitlab_path_with_namespace,
+    ),
+    githubName: githubNameValue(
+      record.github_name || record.github_name_with_owner || record.github,
+    ),
+  };
+}
+
+// Accepts a loaded mapping (array of entries or records) or an object map,
+// and returns entries with lowercased `gitlabId`, `gitlabPath` and
+// `githubName`. An empty side means "has no counterpart".
+function normalizeOverrides(overrides = {}) {
+  if (Array.isArray(overrides)) {
+    return overrides.map((entry) =>
+      "githubName" in entry || "gitlabPath" in entry || "gitlabId" in entry
+        ? {
+            gitlabId: overrideValue(entry.gitlabId),
+            gitlabPath: overrideValue(entry.gitlabPath),
+            githubName: githubNameValue(entry.githubName),
+          }
+        : entryFromRecord(entry),
+    );
+  }
+  return Object.entries(overrides).map(([key, value]) =>
+    entryFromPair(key, value),
+  );
+}
+
+// Reads the mapping file. CSV files need a `github_name` column plus
+// `gitlab_id` or `gitlab_path`; JSON may be an array of such records or an
+// object keyed by GitLab project ID, GitLab path or GitHub repo name. An
+// empty counterpart marks a repo or project as having none. A missing file
+// means no overrides.
+function loadMatchOverrides(pathname) {
+  if (!pathname || !fs.existsSync(pathname)) {
+    return [];
+  }
+  const raw = fs.readFileSync(pathname, "utf8");
+  if (!/^\s*[[{]/.test(raw)) {
+    return normalizeOverrides(readCsv(pathname));
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new ConfigError(
+      `Match overrides '${pathname}' is not valid JSON: ${error.message}`,
+      { cause: error },
+    );
+  }
+  if (!parsed || typeof parsed !== "object") {
+    throw new ConfigError(
+      `Match overrides '${pathname}' must be an object or an array of records.`,
+    );
+  }
+  return normalizeOverrides(parsed);
+}
+
+function matchOptionsFromConfig(config) {
+  return {
+    overrides: loadMatchOverrides(config.matchOverridesPath),
+    groupPath: config.groupPath,
+  };
+}
+
+function overrideProblemMessage(entry) {
+  const subject = `match override ${entry.name ? `for '${entry.name}' ` : ""}`;
+  if (entry.problem === "github_not_found") {
+    return `Warning: match override maps ${entry.path || "a GitLab project"} to GitHub repo '${entry.name}', which is not in the GitHub report.`;
+  }
+  if (entry.problem === "gitlab_id_column_missing") {
+    return `Warning: ${subject}uses GitLab project ID ${entry.path.slice(1)}, but the GitLab report has no \`id\` column. Re-run crawl_gitlab.js (it writes \`id\` by default) or map by path.`;
+  }
+  return `Warning: ${subject}points at GitLab project '${entry.path}', which is not in the GitLab report.`;
+}
+
+// Warns about names that could not be matched unambiguously and override
+// entries naming repos or projects missing from the crawl reports.
+function warnMatchIssues({ ambiguous = [], invalidOverrides = [] }, logger) {
+  if (ambiguous.length > 0) {
+    logger.warn(
+      `Warning: ${ambiguous.length} GitHub repo names match several GitLab projects and were skipped. Run check_matches.js to list them.`,
+    );
+  }
+  for (const entry of invalidOverrides) {
+    logger.warn(overrideProblemMessage(entry));
+  }
+}
+
+// Pairs GitHub repos with GitLab projects across the whole group:
+//  1. an override mapping entry wins outright, and an entry with an empty
+//     side keeps that repo or project out of automatic matching;
+//  2. a repo whose name equals a project's flattened path below `groupPath`
+//     is matched next;
+//  3. otherwise the single unclaimed project with the same name or path is
+//     matched, and a name shared by several is reported as ambiguous with
+//     every candidate instead of silently picking one.
+// Each GitLab project is matched at most once.
+function matchProjects(githubRecords, gitlabRecords, options = {}) {
+  const overrides = normalizeOverrides(options.overrides);
+  const byId = {};
+  const byPath = {};
+  const byFlattened = {};
+  const byName = {};
+  const add = (index, key, project) => {
+    if (!key) {
+      return;
+    }
+    if (!index[key]) {
+      index[key] = [];
+    }
+    if (!index[key].includes(project)) {
+      index[key].push(project);
+    }
+  };
+  // Reports crawled before `id` became a default column have none, and
+  // every ID mapping would otherwise look like a project missing from it.
+  const hasIds = gitlabRecords.some((project) => project.id);
+  for (const project of gitlabRecords) {
+    byPath[pathKey(project)] = project;
+    if (project.id) {
+      byId[String(project.id).trim()] = project;
+    }
+    add(byFlattened, flattenedPath(project, options.groupPath), project);
+    add(byName, nameKey(project), project);
+    add(byName, lastSegment(project), project);
+  }
+
+  // `claimed` projects are matched; `reserved` ones (claimed, or mapped to
+  // no GitHub repo) are never auto-matched.
+  const claimed = new Set();
+  const reserved = new Set();
+  const overridden = new Set();
+  const matched = new Map();
+  const invalidOverrides = [];
+  const pending = [];
+  const repos = githubRecords.filter((github) => nameKey(github));
+  const { index: githubByName } = indexByName(repos);
+
+  for (const entry of overrides) {
+    const target =
+      entry.gitlabPath || (entry.gitlabId ? `#${entry.gitlabId}` : "");
+    const project =
+      (entry.gitlabId && byId[entry.gitlabId]) ||
+      (entry.gitlabPath && byPath[entry.gitlabPath]);
+    const github = entry.githubName && githubByName[entry.githubName];
+    if (target && !project) {
+      invalidOverrides.push({
+        name: entry.githubName,
+        path: target,
+        problem:
+          entry.gitlabId && !entry.gitlabPath && !hasIds
+            ? "gitlab_id_column_missing"
+            : "gitlab_not_found",
+      });
+    }
+    if (entry.githubName && !github) {
+      invalidOverrides.push({
+        name: entry.githubName,
+        path: target,
+        problem: "github_not_found",
+      });
+    }
+    if (github) {
+      overridden.add(github);
+    }
+    if (project) {
+      reserved.add(project);
+    }
+    if (github && project) {
+      matched.set(github, { gitlab: project, matchedBy: "override" });
+      claimed.add(project);
+    }
+  }
+
+  for (const github of repos) {
+    const key = nameKey(github);
+    if (overridden.has(github)) {
+      continue;
+    }
+    const exact = (byFlattened[key] || []).filter((p) => !reserved.has(p));
+    if (exact.length === 1) {
+      matched.set(github, { gitlab: exact[0], matchedBy: "path" });
+      claimed.add(exact[0]);
+      reserved.add(exact[0]);
+      continue;
+    }
+    pending.push(github);
+  }
+
+  const ambiguous = [];
+  for (const github of pending) {
+    const candidates = (byName[nameKey(github)] || []).filter(
+      (project) => !reserved.has(project),
+    );
+    if (candidates.length === 1) {
+      matched.set(github, { gitlab: candidates[0], matchedBy: "name" });
+      claimed.add(candidates[0]);
+      reserved.add(candidates[0]);
+    } else if (candidates.length > 1) {
+      ambiguous.push({ name: github.name.trim(), github, candidates });
+    }
+  }
+
+  const pairs = [];
+  const missingInGitLab = [];
+  const ambiguousRepos = new Set(ambiguous.map((entry) => entry.github));
+  for (const github of repos) {
+    const match = matched.get(github);
+    if (match) {
+      pairs.push({ name: github.name.trim(), github, ...match });
+    } else if (!ambiguousRepos.has(github)) {
+      missingInGitLab.push(github);
+    }
+  }
+  const ambiguousProjects = new Set(
+    ambiguous.flatMap((entry) => entry.candidates),
+  );
+  const unmatchedGitlab = gitlabRecords.filter(
+    (project) =>
+      nameKey(project) &&
+      !claimed.has(project) &&
+      !ambiguousProjects.has(project),
+  );
+
+  return {
+    pairs,
+    missingInGitLab,
+    unmatchedGitlab,
+    ambiguous,
+    invalidOverrides,
+  };
+}
+
+module.exports = {
+  nameKey,
+  indexByName,
+  flattenedPath,
+  normalizeOverrides,
+  loadMatchOverrides,
+  matchOptionsFromConfig,
+  warnMatchIssues,
+  matchProjects,
+};
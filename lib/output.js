@@ -0,0 +1,128 @@
+const { stringifyCsvValue } = require("./csv");
+const { markdownTable } = require("./markdown");
+const { ConfigError } = require("./errors");
+
+const OUTPUT_FORMATS = ["csv", "json", "ndjson", "table", "markdown"];
+
+// Progress messages go to stderr whenever stdout carries a --format
+// document, so `| jq` only ever sees the data.
+const stderrLogger = {
+  log: (...args) => console.error(...args),
+  warn: (...args) => console.error(...args),
+};
+
+function loggerFor(format) {
+  return format ? stderrLogger : console;
+}
+
+function checkFormat(format) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new ConfigError(
+      `Unknown format '${format}'. Use ${OUTPUT_FORMATS.join(", ")}.`,
+    );
+  }
+  return format;
+}
+
+// Pulls `--format <name>` / `--format=<name>` out of argv and returns the
+// remaining arguments for the script's own parser. `format` stays empty
+// when the flag is absent, which keeps the scripts' usual text output.
+function extractFormat(argv) {
+  const args = [];
+  let format = "";
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--format") {
+      format = checkFormat((argv[i + 1] || "").toLowerCase());
+      i += 1;
+    } else if (arg.startsWith("--format=")) {
+      format = checkFormat(arg.slice("--format=".length).toLowerCase());
+    } else {
+      args.push(arg);
+    }
+  }
+  return { format, args };
+}
+
+function headersFor(rows, headers) {
+  if (headers && headers.length > 0) {
+    return headers;
+  }
+  const seen = new Set();
+  for (const row of rows) {
+    Object.keys(row).forEach((key) => seen.add(key));
+  }
+  return Array.from(seen);
+}
+
+function cellText(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function renderTable(headers, rows) {
+  const cells = rows.map((row) => headers.map((header) => cellText(row[header])));
+  const widths = headers.map((header, index) =>
+    Math.max(header.length, ...cells.map((line) => line[index].length)),
+  );
+  const format = (line) =>
+    line.map((cell, index) => cell.padEnd(widths[index])).join("  ").trimEnd();
+  return [
+    format(headers),
+    format(widths.map((width) => "-".repeat(width))),
+    ...cells.map(format),
+  ].join("\n");
+}
+
+// Writes `rows` and `summary` to `stream` in the requested format. CSV has
+// no room for the summary, so it goes to stderr as `key=value` lines.
+function writeOutput(format, { headers, rows, summary = {} }, stream = process.stdout) {
+  const columns = headersFor(rows, headers);
+  if (format === "json") {
+    stream.write(`${JSON.stringify({ summary, rows }, null, 2)}\n`);
+  } else if (format === "ndjson") {
+    const lines = rows.map((row) => JSON.stringify(row));
+    lines.push(JSON.stringify({ summary }));
+    stream.write(`${lines.join("\n")}\n`);
+  } else if (format === "markdown") {
+    const summaryRows = Object.entries(summary).map(([key, value]) => ({
+      key,
+      value,
+    }));
+    stream.write(
+      `${markdownTable(columns, rows)}\n\n${markdownTable(
+        [
+          ["key", "Counter"],
+          ["value", "Value"],
+        ],
+        summaryRows,
+      )}\n`,
+    );
+  } else if (format === "table") {
+    const summaryLines = Object.entries(summary).map(
+      ([key, value]) => `${key}: ${cellText(value)}`,
+    );
+    const table = rows.length > 0 ? renderTable(columns, rows) : "(no rows)";
+    stream.write(`${table}\n\n${summaryLines.join("\n")}\n`);
+  } else {
+    const lines = [columns.join(",")];
+    for (const row of rows) {
+      lines.push(columns.map((column) => stringifyCsvValue(row[column])).join(","));
+    }
+    stream.write(`${lines.join("\n")}\n`);
+    for (const [key, value] of Object.entries(summary)) {
+      console.error(`${key}=${cellText(value)}`);
+    }
+  }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  stderrLogger,
+  loggerFor,
+  extractFormat,
+  renderTable,
+  writeOutput,
+};
@@ -0,0 +1,107 @@
+const { matchProjects } = require("./matching");
+const { isArchivedValue } = require("./archive-status");
+
+const RECONCILE_STATUSES = [
+  "matched",
+  "gitlab_only",
+  "github_only",
+  "ambiguous",
+];
+
+const RECONCILE_HEADERS = [
+  "name",
+  "status",
+  "gitlab_path_with_namespace",
+  "gitlab_archived",
+  "gitlab_last_activity_at",
+  "gitlab_web_url",
+  "github_name_with_owner",
+  "github_archived",
+  "github_pushed_at",
+  "github_url",
+];
+
+function reconcileRow(name, status, github, gitlab) {
+  return {
+    name,
+    status,
+    gitlab_path_with_namespace: gitlab ? gitlab.path_with_namespace || "" : "",
+    gitlab_archived: gitlab ? String(isArchivedValue(gitlab.archived)) : "",
+    gitlab_last_activity_at: gitlab
+      ? gitlab.last_repository_updated_at || gitlab.last_activity_at || ""
+      : "",
+    gitlab_web_url: gitlab ? gitlab.web_url || "" : "",
+    github_name_with_owner: github
+      ? github.name_with_owner || github.nameWithOwner || ""
+      : "",
+    github_archived: github
+      ? String(isArchivedValue(github.archived || github.isArchived))
+      : "",
+    github_pushed_at: github ? github.pushed_at || github.pushedAt || "" : "",
+    github_url: github ? github.url || "" : "",
+  };
+}
+
+// Full outer join of both crawl reports (see matchProjects for `options`):
+// every GitLab project and every GitHub repo appears as matched, gitlab_only
+// (not yet migrated) or github_only (created directly on GitHub). A GitHub
+// repo matching several projects gets one ambiguous row per candidate.
+function reconcileProjects(githubRecords, gitlabRecords, options = {}) {
+  const {
+    pairs,
+    missingInGitLab,
+    unmatchedGitlab,
+    ambiguous,
+    invalidOverrides,
+  } = matchProjects(githubRecords, gitlabRecords, options);
+  const rows = [
+    ...pairs.map(({ name, github, gitlab }) =>
+      reconcileRow(name, "matched", github, gitlab),
+    ),
+    ...unmatchedGitlab.map((gitlab) =>
+      reconcileRow(gitlab.name, "gitlab_only", null, gitlab),
+    ),
+    ...missingInGitLab.map((github) =>
+      reconcileRow(github.name, "github_only", github, null),
+    ),
+    ...ambiguous.flatMap(({ name, github, candidates }) =>
+      candidates.map((gitlab) =>
+        reconcileRow(name, "ambiguous", github, gitlab),
+      ),
+    ),
+  ];
+  rows.sort(
+    (a, b) =>
+      RECONCILE_STATUSES.indexOf(a.status) -
+        RECONCILE_STATUSES.indexOf(b.status) ||
+      a.name.localeCompare(b.name) ||
+      a.gitlab_path_with_namespace.localeCompare(b.gitlab_path_with_namespace),
+  );
+
+  const counts = {
+    matched: 0,
+    matched_gitlab_active: 0,
+    gitlab_only: 0,
+    gitlab_only_active: 0,
+    github_only: 0,
+    ambiguous: 0,
+  };
+  for (const row of rows) {
+    counts[row.status] += 1;
+    if (row.gitlab_archived === "false") {
+      if (row.status === "matched") {
+        counts.matched_gitlab_active += 1;
+      } else if (row.status === "gitlab_only") {
+        counts.gitlab_only_active += 1;
+      }
+    }
+  }
+
+  return { rows, counts, ambiguous, invalidOverrides };
+}
+
+module.exports = {
+  RECONCILE_STATUSES,
+  RECONCILE_HEADERS,
+  reconcileProjects,
+};
@@ -0,0 +1,269 @@
+const { gitlabApiBase, gitlabJson, gitlabPaginate } = require("./gitlab");
+const { githubGet, resolveGithubToken } = require("./github");
+const { mapConcurrent, clampConcurrency } = require("./concurrency");
+const { silentLogger } = require("./logger");
+const { normalizeOverrides } = require("./matching");
+const { ConfigError, GitLabApiError } = require("./errors");
+
+const REPO_STATUS_HEADERS = [
+  "repo",
+  "github_found",
+  "github_visibility",
+  "github_archived",
+  "github_url",
+  "gitlab_found",
+  "gitlab_path_with_namespace",
+  "gitlab_visibility",
+  "gitlab_archived",
+  "gitlab_web_url",
+  "gitlab_last_activity_at",
+  "gitlab_empty_repo",
+  "result",
+  "error",
+];
+
+const REPO_STATUS_RESULTS = [
+  "archived",
+  "not_archived",
+  "unknown",
+  "not_found",
+  "ambiguous",
+  "error",
+];
+
+async function fetchGithubRepo(org, name, token) {
+  const { data } = await githubGet(
+    `repos/${encodeURIComponent(org)}/${encodeURIComponent(name)}`,
+    token,
+  );
+  return {
+    name: data.name,
+    nameWithOwner: data.full_name,
+    isArchived: data.archived,
+    visibility: String(data.visibility || "").toUpperCase(),
+    url: data.html_url,
+    sshUrl: data.ssh_url,
+  };
+}
+
+function wrapGitlabError(error, what) {
+  return new GitLabApiError(
+    `GitLab request failed for ${what}: ${error.message}`,
+    { statusCode: error.statusCode, body: error.body, cause: error },
+  );
+}
+
+// `ref` is a project ID or full path. Resolves with null on 404.
+async function fetchGitlabProjectByRef(gitlabUrl, token, ref) {
+  try {
+    return await gitlabJson(
+      gitlabApiBase(gitlabUrl),
+      token,
+      `/projects/${encodeURIComponent(ref)}`,
+    );
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw wrapGitlabError(error, `project '${ref}'`);
+  }
+}
+
+// Resolves with null when the project does not exist under `groupPath`.
+async function fetchGitlabProject(gitlabUrl, token, groupPath, repoName) {
+  const fullPath = `${groupPath.replace(/\/$/, "")}/${repoName}`;
+  return fetchGitlabProjectByRef(gitlabUrl, token, fullPath);
+}
+
+// The mapping entry for a name given on the command line: one naming it as
+// the GitHub repo, else one whose GitLab path is or ends with it.
+function findOverride(name, overrides) {
+  const wanted = name.trim().toLowerCase();
+  const githubName = wanted.split("/").pop();
+  return (
+    overrides.find((entry) => entry.githubName === githubName) ||
+    overrides.find(
+      (entry) =>
+        entry.gitlabPath &&
+        (entry.gitlabPath === wanted ||
+          entry.gitlabPath.endsWith(`/${wanted}`)),
+    ) ||
+    null
+  );
+}
+
+// Looks the project up as the mapping file says when it has an entry for
+// the name, and by name below the group otherwise. An entry with an empty
+// GitLab side means the repo has no project.
+async function resolveGitlabProject(name, override, options) {
+  if (!override) {
+    return findGitlabProject(
+      options.gitlabUrl,
+      options.gitlabToken,
+      options.groupPath,
+      name,
+    );
+  }
+  const ref = override.gitlabId || override.gitlabPath;
+  const project = ref
+    ? await fetchGitlabProjectByRef(options.gitlabUrl, options.gitlabToken, ref)
+    : null;
+  return { project, candidates: project ? [project] : [] };
+}
+
+// Looks for `repoName` anywhere below `groupPath`: first as a direct child,
+// then through the group's project search with subgroups included, keeping
+// projects whose path or name equals the repo name. A name containing a
+// slash (`legacy/site`) must also match the end of the project's path.
+// `project` is set only when exactly one candidate is found.
+async function findGitlabProject(gitlabUrl, token, groupPath, repoName) {
+  const direct = await fetchGitlabProject(gitlabUrl, token, groupPath, repoName);
+  if (direct) {
+    return { project: direct, candidates: [direct] };
+  }
+  const wanted = repoName.toLowerCase();
+  const lastSegment = wanted.split("/").pop();
+  let results;
+  try {
+    results = await gitlabPaginate(
+      gitlabApiBase(gitlabUrl),
+      token,
+      `/groups/${encodeURIComponent(groupPath.replace(/\/$/, ""))}/projects`,
+      { search: lastSegment, include_subgroups: "true" },
+    );
+  } catch (error) {
+    throw wrapGitlabError(error, `search '${lastSegment}' in '${groupPath}'`);
+  }
+  const candidates = results.filter((project) => {
+    const path = String(project.path_with_namespace || "").toLowerCase();
+    const exact =
+      String(project.path || "").toLowerCase() === lastSegment ||
+      String(project.name || "").toLowerCase() === lastSegment;
+    return exact && (!wanted.includes("/") || path.endsWith(`/${wanted}`));
+  });
+  return {
+    project: candidates.length === 1 ? candidates[0] : null,
+    candidates,
+  };
+}
+
+// "archived", "not_archived" or "unknown" for a GitLab project payload.
+function archiveState(project) {
+  if (project.archived === true) {
+    return "archived";
+  }
+  if (project.archived === false) {
+    return "not_archived";
+  }
+  return "unknown";
+}
+
+async function checkOneRepo(name, options, githubToken) {
+  const row = {};
+  for (const header of REPO_STATUS_HEADERS) {
+    row[header] = "";
+  }
+  Object.assign(row, { repo: name, github_found: false, gitlab_found: false });
+  const errors = [];
+  const override = findOverride(name, options.overrides);
+  const githubName = override ? override.githubName : name.split("/").pop();
+
+  try {
+    const github = githubName
+      ? await fetchGithubRepo(options.org, githubName, githubToken)
+      : null;
+    if (github) {
+      Object.assign(row, {
+        github_found: true,
+        github_visibility: github.visibility,
+        github_archived: github.isArchived,
+        github_url: github.url,
+      });
+    }
+  } catch (error) {
+    if (error.statusCode !== 404) {
+      errors.push(`GitHub: ${error.message}`);
+    }
+  }
+
+  try {
+    const { project, candidates } = await resolveGitlabProject(
+      name,
+      override,
+      options,
+    );
+    if (project) {
+      Object.assign(row, {
+        gitlab_found: true,
+        gitlab_path_with_namespace: project.path_with_namespace,
+        gitlab_visibility: project.visibility,
+        gitlab_archived: project.archived,
+        gitlab_web_url: project.web_url,
+        gitlab_last_activity_at: project.last_activity_at,
+        gitlab_empty_repo: project.empty_repo,
+      });
+      row.result = archiveState(project);
+    } else if (candidates.length > 1) {
+      row.gitlab_path_with_namespace = candidates
+        .map((candidate) => candidate.path_with_namespace)
+        .join("; ");
+      row.result = "ambiguous";
+    } else {
+      row.result = "not_found";
+    }
+  } catch (error) {
+    errors.push(`GitLab: ${error.message}`);
+  }
+
+  if (errors.length > 0) {
+    row.result = "error";
+    row.error = errors.join("; ");
+  }
+  return row;
+}
+
+// Checks every name on GitHub (`org/<name>`) and GitLab (anywhere below
+// `groupPath`) with at most `concurrency` repos in flight. Entries in
+// `options.overrides` (the mapping file) decide both sides for the names
+// they cover. Per-repo API failures become rows with result "error".
+async function checkRepoStatuses(names, options = {}) {
+  const logger = options.logger || silentLogger;
+  if (!options.gitlabToken) {
+    throw new ConfigError(
+      "GITLAB_TOKEN missing. Set it before running this script.",
+    );
+  }
+  const githubToken = await resolveGithubToken(options.githubToken);
+  const repoOptions = {
+    ...options,
+    overrides: normalizeOverrides(options.overrides),
+  };
+  const rows = await mapConcurrent(
+    names,
+    clampConcurrency(options.concurrency, 4, 8),
+    (name) => checkOneRepo(name, repoOptions, githubToken),
+    (done, total) => {
+      if (total > 1 && (done % 10 === 0 || done === total)) {
+        logger.log(`Checked ${done}/${total} repos`);
+      }
+    },
+  );
+  const counts = {};
+  for (const result of REPO_STATUS_RESULTS) {
+    counts[result] = 0;
+  }
+  for (const row of rows) {
+    counts[row.result] += 1;
+  }
+  return { rows, counts };
+}
+
+module.exports = {
+  REPO_STATUS_HEADERS,
+  REPO_STATUS_RESULTS,
+  fetchGithubRepo,
+  fetchGitlabProject,
+  findGitlabProject,
+  archiveState,
+  checkRepoStatuses,
+};
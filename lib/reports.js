@@ -0,0 +1,34 @@
+const fs = require("fs");
+const { readCsv } = require("./csv");
+const { ReportNotFoundError } = require("./errors");
+
+function readReport(pathname, label, hint) {
+  if (!fs.existsSync(pathname)) {
+    throw new ReportNotFoundError(label, pathname, hint);
+  }
+  return readCsv(pathname);
+}
+
+function readGithubReport(pathname) {
+  return readReport(pathname, "GitHub", "Run crawl_github.js first.");
+}
+
+function readGitlabReport(pathname) {
+  return readReport(pathname, "GitLab", "Run crawl_gitlab.js first.");
+}
+
+// One name or path per line; blank lines and `#` comments are skipped.
+function readNameList(pathname) {
+  return fs
+    .readFileSync(pathname, "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+}
+
+module.exports = {
+  readReport,
+  readGithubReport,
+  readGitlabReport,
+  readNameList,
+};
@@ -0,0 +1,331 @@
+const { gitlabApiBase, gitlabJson } = require("./gitlab");
+const { githubGet, isGithubNotFound, resolveGithubToken } = require("./github");
+const { matchProjects } = require("./matching");
+const { toDate } = require("./last-change");
+const { mapConcurrent, clampConcurrency } = require("./concurrency");
+const { silentLogger } = require("./logger");
+const { ConfigError } = require("./errors");
+
+const SHA_PARITY_HEADERS = [
+  "name",
+  "github_name_with_owner",
+  "gitlab_path_with_namespace",
+  "github_default_branch",
+  "gitlab_default_branch",
+  "github_sha",
+  "gitlab_sha",
+  "github_ahead_by",
+  "gitlab_ahead_by",
+  "status",
+  "checked_at",
+  "error",
+];
+
+// Statuses where GitHub already holds everything GitLab's default branch has.
+const SHA_PARITY_SAFE_STATUSES = [
+  "identical",
+  "github_ahead",
+  "gitlab_empty",
+  "both_empty",
+];
+
+// SHA parity only vouches for the commits GitLab had when it ran, so a safe
+// row is rejected when it was checked before the project's last repository
+// update, or when either date is unknown. Shared by the archive gate and
+// the ledger so they cannot disagree.
+function checkShaParityRow(parity, gitlabProject) {
+  if (!SHA_PARITY_SAFE_STATUSES.includes(parity.status)) {
+    return { ok: false, reason: `sha_parity=${parity.status}` };
+  }
+  const checkedAt = toDate(parity.checked_at);
+  const gitlabDate =
+    gitlabProject &&
+    toDate(
+      gitlabProject.last_repository_updated_at ||
+        gitlabProject.last_activity_at,
+    );
+  if (!checkedAt || !gitlabDate) {
+    return {
+      ok: false,
+      reason: `sha_parity=${parity.status} but its age is unknown; re-run check_sha_parity.js`,
+    };
+  }
+  if (checkedAt.getTime() < gitlabDate.getTime()) {
+    return {
+      ok: false,
+      reason: `sha_parity=${parity.status} predates GitLab's last update; re-run check_sha_parity.js`,
+    };
+  }
+  return { ok: true, reason: `sha_parity=${parity.status}` };
+}
+
+async function fetchGithubHead(nameWithOwner, token) {
+  const { data: repo } = await githubGet(`repos/${nameWithOwner}`, token);
+  const branch = repo.default_branch || "";
+  const createdAt = repo.created_at || "";
+  if (!branch) {
+    return { branch: "", sha: "", createdAt };
+  }
+  try {
+    const { data: detail } = await githubGet(
+      `repos/${nameWithOwner}/branches/${encodeURIComponent(branch)}`,
+      token,
+    );
+    return {
+      branch,
+      sha: (detail.commit && detail.commit.sha) || "",
+      createdAt,
+    };
+  } catch (error) {
+    if (isGithubNotFound(error)) {
+      return { branch, sha: "", createdAt };
+    }
+    throw error;
+  }
+}
+
+async function fetchGitlabHead(apiBase, token, pathWithNamespace) {
+  const projectId = encodeURIComponent(pathWithNamespace);
+  const project = await gitlabJson(apiBase, token, `/projects/${projectId}`);
+  const branch = project.default_branch || "";
+  const createdAt = project.created_at || "";
+  if (!branch || project.empty_repo) {
+    return { projectId: project.id, branch, sha: "", createdAt };
+  }
+  try {
+    const detail = await gitlabJson(
+      apiBase,
+      token,
+      `/projects/${project.id}/repository/branches/${encodeURIComponent(branch)}`,
+    );
+    return {
+      projectId: project.id,
+      branch,
+      sha: (detail.commit && detail.commit.id) || "",
+      createdAt,
+    };
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return { projectId: project.id, branch, sha: "", createdAt };
+    }
+    throw error;
+  }
+}
+
+async function compareOnGithub(nameWithOwner, baseSha, headSha, token) {
+  try {
+    const { data } = await githubGet(
+      `repos/${nameWithOwner}/compare/${baseSha}...${headSha}`,
+      token,
+    );
+    return data;
+  } catch (error) {
+    if (isGithubNotFound(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function gitlabCommitExists(apiBase, token, projectId, sha) {
+  try {
+    await gitlabJson(
+      apiBase,
+      token,
+      `/projects/${projectId}/repository/commits/${sha}`,
+    );
+    return true;
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+function compareOnGitlab(apiBase, token, projectId, fromSha, toSha) {
+  const params = new URLSearchParams({
+    from: fromSha,
+    to: toSha,
+    straight: "false",
+  });
+  return gitlabJson(
+    apiBase,
+    token,
+    `/projects/${projectId}/repository/compare?${params}`,
+  );
+}
+
+// GitHub's compare endpoint can only classify the pair when it knows the
+// GitLab SHA. When it does not, GitLab holds commits GitHub lacks, so the
+// only remaining question is whether GitHub's HEAD is an ancestor of
+// GitLab's HEAD (gitlab_ahead) or not (diverged).
+async function classifyPair(apiBase, token, githubToken, pair) {
+  const { githubSha, gitlabSha } = pair;
+  if (githubSha === gitlabSha) {
+    return { status: "identical", aheadBy: 0, behindBy: 0 };
+  }
+
+  const githubCompare = await compareOnGithub(
+    pair.nameWithOwner,
+    gitlabSha,
+    githubSha,
+    githubToken,
+  );
+  if (githubCompare) {
+    const statusMap = {
+      identical: "identical",
+      ahead: "github_ahead",
+      behind: "gitlab_ahead",
+      diverged: "diverged",
+    };
+    return {
+      status: statusMap[githubCompare.status] || "diverged",
+      aheadBy: githubCompare.ahead_by,
+      behindBy: githubCompare.behind_by,
+    };
+  }
+
+  const known = await gitlabCommitExists(
+    apiBase,
+    token,
+    pair.gitlabProjectId,
+    githubSha,
+  );
+  if (!known) {
+    return { status: "diverged", aheadBy: "", behindBy: "" };
+  }
+
+  const githubOnly = await compareOnGitlab(
+    apiBase,
+    token,
+    pair.gitlabProjectId,
+    gitlabSha,
+    githubSha,
+  );
+  const gitlabOnly = await compareOnGitlab(
+    apiBase,
+    token,
+    pair.gitlabProjectId,
+    githubSha,
+    gitlabSha,
+  );
+  const aheadBy = (githubOnly.commits || []).length;
+  const behindBy = (gitlabOnly.commits || []).length;
+  return {
+    status: aheadBy === 0 ? "gitlab_ahead" : "diverged",
+    aheadBy,
+    behindBy,
+  };
+}
+
+async function checkPair(apiBase, token, githubToken, pair) {
+  const row = {
+    name: pair.name,
+    github_name_with_owner: pair.nameWithOwner,
+    gitlab_path_with_namespace: pair.pathWithNamespace,
+    github_default_branch: "",
+    gitlab_default_branch: "",
+    github_sha: "",
+    gitlab_sha: "",
+    github_ahead_by: "",
+    gitlab_ahead_by: "",
+    status: "",
+    checked_at: new Date().toISOString(),
+    error: "",
+  };
+
+  try {
+    const [githubHead, gitlabHead] = await Promise.all([
+      fetchGithubHead(pair.nameWithOwner, githubToken),
+      fetchGitlabHead(apiBase, token, pair.pathWithNamespace),
+    ]);
+    row.github_default_branch = githubHead.branch;
+    row.gitlab_default_branch = gitlabHead.branch;
+    row.github_sha = githubHead.sha;
+    row.gitlab_sha = gitlabHead.sha;
+
+    if (!githubHead.sha && !gitlabHead.sha) {
+      row.status = "both_empty";
+      return row;
+    }
+    if (!githubHead.sha) {
+      row.status = "github_empty";
+      return row;
+    }
+    if (!gitlabHead.sha) {
+      row.status = "gitlab_empty";
+      return row;
+    }
+
+    const result = await classifyPair(apiBase, token, githubToken, {
+      nameWithOwner: pair.nameWithOwner,
+      gitlabProjectId: gitlabHead.projectId,
+      githubSha: githubHead.sha,
+      gitlabSha: gitlabHead.sha,
+    });
+    row.status = result.status;
+    row.github_ahead_by = result.aheadBy;
+    row.gitlab_ahead_by = result.behindBy;
+  } catch (error) {
+    row.status = "error";
+    row.error = error.message;
+  }
+
+  return row;
+}
+
+// Compares the default-branch HEAD of every matched pair of crawl report
+// records (`options.overrides`/`groupPath` go to matchProjects). Per-repo
+// API failures become rows with status "error".
+async function checkShaParity(githubRecords, gitlabRecords, options = {}) {
+  const logger = options.logger || silentLogger;
+  if (!options.gitlabToken) {
+    throw new ConfigError(
+      "GITLAB_TOKEN missing. Set it before running this script.",
+    );
+  }
+  const apiBase = gitlabApiBase(options.gitlabUrl);
+  const githubToken = await resolveGithubToken(options.githubToken);
+  const matched = matchProjects(githubRecords, gitlabRecords, options);
+  const pairs = matched.pairs.map(({ name, github, gitlab }) => ({
+    name,
+    nameWithOwner: github.name_with_owner || github.nameWithOwner || "",
+    pathWithNamespace: gitlab.path_with_namespace || "",
+  }));
+
+  logger.log(
+    `Comparing default-branch HEADs for ${pairs.length} matched repos ...`,
+  );
+  const rows = await mapConcurrent(
+    pairs,
+    clampConcurrency(options.concurrency, 4, 8),
+    (pair) => checkPair(apiBase, options.gitlabToken, githubToken, pair),
+    (checked, total) => {
+      if (checked % 25 === 0 || checked === total) {
+        logger.log(`  Checked ${checked}/${total} repos...`);
+      }
+    },
+  );
+
+  const counts = {};
+  for (const row of rows) {
+    counts[row.status] = (counts[row.status] || 0) + 1;
+  }
+  return {
+    rows,
+    counts,
+    missingInGitLab: matched.missingInGitLab.length,
+    ambiguous: matched.ambiguous,
+    invalidOverrides: matched.invalidOverrides,
+  };
+}
+
+module.exports = {
+  SHA_PARITY_HEADERS,
+  SHA_PARITY_SAFE_STATUSES,
+  checkShaParityRow,
+  fetchGithubHead,
+  fetchGitlabHead,
+  checkShaParity,
+};
@@ -0,0 +1,212 @@
+const fs = require("fs");
+const path = require("path");
+const { toRow } = require("./columns");
+const { ConfigError, ReportNotFoundError } = require("./errors");
+const { version: TOOL_VERSION } = require("../package.json");
+
+const SNAPSHOT_SOURCES = ["gitlab", "github"];
+
+const SNAPSHOT_DIFF_HEADERS = [
+  "source",
+  "change",
+  "id",
+  "name",
+  "before",
+  "after",
+];
+
+const SNAPSHOT_CHANGES = [
+  "added",
+  "removed",
+  "renamed",
+  "archived",
+  "unarchived",
+  "visibility_changed",
+  "pushed",
+];
+
+// The fields each source's diff compares, by snapshot column.
+const SNAPSHOT_FIELDS = {
+  gitlab: {
+    name: "path_with_namespace",
+    pushedAt: ["last_repository_updated_at", "last_activity_at"],
+  },
+  github: { name: "name_with_owner", pushedAt: ["pushed_at"] },
+};
+
+function checkSource(source) {
+  if (!SNAPSHOT_SOURCES.includes(source)) {
+    throw new ConfigError(
+      `Unknown snapshot source '${source}'. Use ${SNAPSHOT_SOURCES.join(" or ")}.`,
+    );
+  }
+  return source;
+}
+
+// `gitlab-2024-05-01T10-00-00-000Z.json`: sorts by time within a source.
+function snapshotFileName(source, crawledAt) {
+  return `${checkSource(source)}-${crawledAt.replace(/[:.]/g, "-")}.json`;
+}
+
+// Stores every column of every crawled item (not just the report's columns)
+// along with the crawl's metadata, and returns the snapshot's path.
+function saveSnapshot(dir, source, items, extractors, meta = {}) {
+  const { crawledAt = new Date().toISOString(), ...rest } = meta;
+  const columns = Object.keys(extractors);
+  const snapshot = {
+    source: checkSource(source),
+    crawledAt,
+    meta: { ...rest, count: items.length, toolVersion: TOOL_VERSION },
+    items: items.map((item) => toRow(item, columns, extractors)),
+  };
+  fs.mkdirSync(dir, { recursive: true });
+  const pathname = path.join(dir, snapshotFileName(source, crawledAt));
+  const tmpPath = `${pathname}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(snapshot), "utf8");
+  fs.renameSync(tmpPath, pathname);
+  return pathname;
+}
+
+// Snapshot files for `source` in `dir`, oldest first.
+function listSnapshots(dir, source) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const prefix = `${checkSource(source)}-`;
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.startsWith(prefix) && name.endsWith(".json"))
+    .sort()
+    .map((name) => path.join(dir, name));
+}
+
+function loadSnapshot(pathname) {
+  if (!fs.existsSync(pathname)) {
+    throw new ReportNotFoundError("Snapshot", pathname);
+  }
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(pathname, "utf8"));
+  } catch (error) {
+    throw new ConfigError(
+      `Snapshot '${pathname}' is not valid JSON: ${error.message}`,
+      { cause: error },
+    );
+  }
+  if (
+    !snapshot ||
+    !SNAPSHOT_SOURCES.includes(snapshot.source) ||
+    !Array.isArray(snapshot.items)
+  ) {
+    throw new ConfigError(`'${pathname}' is not a crawl snapshot.`);
+  }
+  return { ...snapshot, path: pathname };
+}
+
+// Resolves "latest", "previous" or a file path to a snapshot path.
+function resolveSnapshot(dir, source, ref) {
+  if (ref !== "latest" && ref !== "previous") {
+    return ref;
+  }
+  const snapshots = listSnapshots(dir, source);
+  const index = snapshots.length - (ref === "latest" ? 1 : 2);
+  if (index < 0) {
+    throw new ConfigError(
+      `No ${ref} ${source} snapshot: '${dir}' holds ${snapshots.length}. Run the crawler again.`,
+    );
+  }
+  return snapshots[index];
+}
+
+function isTrue(value) {
+  return value === true || value === "true";
+}
+
+function pushedAt(item, fields) {
+  for (const field of fields.pushedAt) {
+    if (item[field]) {
+      return item[field];
+    }
+  }
+  return "";
+}
+
+// Compares two snapshots of the same source item by item, keyed by the
+// GitLab project ID or GitHub node ID so renames show up as renames rather
+// than as a removal plus an addition. Yields one row per change.
+function diffSnapshots(before, after) {
+  if (before.source !== after.source) {
+    throw new ConfigError(
+      `Cannot compare a ${before.source} snapshot with a ${after.source} snapshot.`,
+    );
+  }
+  const { source } = after;
+  const fields = SNAPSHOT_FIELDS[source];
+  const previous = new Map(before.items.map((item) => [String(item.id), item]));
+  const current = new Map(after.items.map((item) => [String(item.id), item]));
+  const rows = [];
+  const add = (change, item, from, to) =>
+    rows.push({
+      source,
+      change,
+      id: item.id,
+      name: item[fields.name],
+      before: from,
+      after: to,
+    });
+
+  for (const [id, item] of current) {
+    const old = previous.get(id);
+    if (!old) {
+      add("added", item, "", "");
+      continue;
+    }
+    if (old[fields.name] !== item[fields.name]) {
+      add("renamed", item, old[fields.name], item[fields.name]);
+    }
+    if (isTrue(item.archived) !== isTrue(old.archived)) {
+      add(isTrue(item.archived) ? "archived" : "unarchived", item, "", "");
+    }
+    if (
+      String(old.visibility || "").toLowerCase() !==
+      String(item.visibility || "").toLowerCase()
+    ) {
+      add("visibility_changed", item, old.visibility, item.visibility);
+    }
+    const oldPush = pushedAt(old, fields);
+    const newPush = pushedAt(item, fields);
+    if (newPush && (!oldPush || Date.parse(newPush) > Date.parse(oldPush))) {
+      add("pushed", item, oldPush, newPush);
+    }
+  }
+  for (const [id, item] of previous) {
+    if (!current.has(id)) {
+      add("removed", item, "", "");
+    }
+  }
+
+  const counts = {};
+  for (const change of SNAPSHOT_CHANGES) {
+    counts[change] = 0;
+  }
+  for (const row of rows) {
+    counts[row.change] += 1;
+  }
+  rows.sort(
+    (a, b) =>
+      SNAPSHOT_CHANGES.indexOf(a.change) - SNAPSHOT_CHANGES.indexOf(b.change) ||
+      String(a.name).localeCompare(String(b.name)),
+  );
+  return { source, rows, counts };
+}
+
+module.exports = {
+  SNAPSHOT_SOURCES,
+  SNAPSHOT_DIFF_HEADERS,
+  SNAPSHOT_CHANGES,
+  saveSnapshot,
+  listSnapshots,
+  loadSnapshot,
+  resolveSnapshot,
+  diffSnapshots,
+};
@@ -0,0 +1,279 @@
+const { gitlabApiBase } = require("./gitlab");
+const { resolveGithubToken } = require("./github");
+const { matchProjects, normalizeOverrides } = require("./matching");
+const { fetchGithubHead, fetchGitlabHead } = require("./sha-parity");
+const { mapConcurrent, clampConcurrency } = require("./concurrency");
+const { silentLogger } = require("./logger");
+const { ConfigError } = require("./errors");
+
+// The first three columns are the mapping file's, so reviewed rows can be
+// copied into a CSV match overrides file as they are.
+const SUGGESTION_HEADERS = [
+  "gitlab_id",
+  "gitlab_path",
+  "github_name",
+  "github_name_with_owner",
+  "confidence",
+  "score",
+  "name_similarity",
+  "sha_match",
+  "created_match",
+];
+
+// Tokens that renames typically add or drop: years, version suffixes and
+// markers like "old" or "legacy".
+const NOISE_TOKENS = /^(?:(?:19|20)\d\d|v\d+|old|new|legacy|archived?|copy)$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token && !NOISE_TOKENS.test(token))
+    .join("");
+}
+
+function bigrams(value) {
+  const pairs = [];
+  for (let i = 0; i < value.length - 1; i += 1) {
+    pairs.push(value.slice(i, i + 2));
+  }
+  return pairs;
+}
+
+// Dice coefficient over character bigrams of the normalised names.
+function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) {
+    return 0;
+  }
+  if (left === right) {
+    return 1;
+  }
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  if (leftPairs.length === 0 || rightPairs.length === 0) {
+    return 0;
+  }
+  const remaining = [...rightPairs];
+  let shared = 0;
+  for (const pair of leftPairs) {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      shared += 1;
+      remaining.splice(index, 1);
+    }
+  }
+  return (2 * shared) / (leftPairs.length + rightPairs.length);
+}
+
+function sameDay(a, b) {
+  const left = Date.parse(a);
+  const right = Date.parse(b);
+  if (Number.isNaN(left) || Number.isNaN(right)) {
+    return false;
+  }
+  return Math.abs(left - right) <= DAY_MS;
+}
+
+// Projects and repos the mapping file already decided on, including those
+// mapped to no counterpart, are not suggested again.
+function overriddenKeys(overrides) {
+  const keys = { gitlab: new Set(), github: new Set() };
+  for (const entry of normalizeOverrides(overrides)) {
+    for (const key of [entry.gitlabId, entry.gitlabPath]) {
+      if (key) {
+        keys.gitlab.add(key);
+      }
+    }
+    if (entry.githubName) {
+      keys.github.add(entry.githubName);
+    }
+  }
+  return keys;
+}
+
+function projectLabel(project) {
+  return project.path_with_namespace || project.name || "";
+}
+
+async function fetchHeads(records, fetchOne, concurrency, logger, label) {
+  const heads = new Map();
+  await mapConcurrent(records, concurrency, async (record) => {
+    try {
+      heads.set(record, await fetchOne(record));
+    } catch (error) {
+      logger.warn(`Could not read ${label} HEAD: ${error.message}`);
+    }
+  });
+  return heads;
+}
+
+function confidenceOf(candidate) {
+  if (
+    candidate.shaMatch ||
+    (candidate.similarity >= 0.9 && candidate.createdMatch)
+  ) {
+    return "high";
+  }
+  if (
+    candidate.similarity >= 0.8 ||
+    (candidate.createdMatch && candidate.similarity >= 0.5)
+  ) {
+    return "medium";
+  }
+  return "low";
+}
+
+// Proposes pairs for GitLab projects and GitHub repos the matcher could not
+// pair (including ambiguous ones). Each candidate is scored on normalised
+// name similarity, identical default-branch HEAD SHAs and creation dates
+// within a day; pairs are then assigned greedily by score so every project
+// and repo is suggested at most once. SHAs and API creation dates are only
+// used with `options.useApi`; otherwise creation dates come from the
+// reports' `created_at` columns when present.
+async function suggestMappings(githubRecords, gitlabRecords, options = {}) {
+  const logger = options.logger || silentLogger;
+  const minSimilarity = options.minSimilarity ?? 0.5;
+  const matched = matchProjects(githubRecords, gitlabRecords, options);
+  const overridden = overriddenKeys(options.overrides);
+  const gitlabPool = [
+    ...matched.unmatchedGitlab,
+    ...matched.ambiguous.flatMap((entry) => entry.candidates),
+  ].filter(
+    (project) =>
+      !overridden.gitlab.has(String(project.id || "").trim()) &&
+      !overridden.gitlab.has(
+        String(project.path_with_namespace || "").trim().toLowerCase(),
+      ),
+  );
+  const githubPool = [
+    ...matched.missingInGitLab,
+    ...matched.ambiguous.map((entry) => entry.github),
+  ].filter(
+    (repo) =>
+      !overridden.github.has(String(repo.name || "").trim().toLowerCase()),
+  );
+  logger.log(
+    `Looking for pairs among ${gitlabPool.length} unmatched GitLab projects and ${githubPool.length} unmatched GitHub repos ...`,
+  );
+
+  let gitlabHeads = new Map();
+  let githubHeads = new Map();
+  if (options.useApi && gitlabPool.length > 0 && githubPool.length > 0) {
+    if (!options.gitlabToken) {
+      throw new ConfigError(
+        "GITLAB_TOKEN missing. Set it, or skip the SHA comparison.",
+      );
+    }
+    const apiBase = gitlabApiBase(options.gitlabUrl);
+    const githubToken = await resolveGithubToken(options.githubToken);
+    const concurrency = clampConcurrency(options.concurrency, 4, 8);
+    logger.log("Reading default-branch HEADs ...");
+    gitlabHeads = await fetchHeads(
+      gitlabPool,
+      (project) =>
+        fetchGitlabHead(
+          apiBase,
+          options.gitlabToken,
+          project.path_with_namespace,
+        ),
+      concurrency,
+      logger,
+      "GitLab",
+    );
+    githubHeads = await fetchHeads(
+      githubPool,
+      (repo) =>
+        fetchGithubHead(
+          repo.name_with_owner || repo.nameWithOwner,
+          githubToken,
+        ),
+      concurrency,
+      logger,
+      "GitHub",
+    );
+  }
+
+  const candidates = [];
+  for (const project of gitlabPool) {
+    const gitlabHead = gitlabHeads.get(project) || {};
+    const gitlabCreated = gitlabHead.createdAt || project.created_at;
+    for (const repo of githubPool) {
+      const githubHead = githubHeads.get(repo) || {};
+      const similarity = Math.max(
+        nameSimilarity(project.name, repo.name),
+        nameSimilarity(projectLabel(project).split("/").pop(), repo.name),
+      );
+      const shaMatch =
+        Boolean(gitlabHead.sha) && gitlabHead.sha === githubHead.sha;
+      if (!shaMatch && similarity < minSimilarity) {
+        continue;
+      }
+      const createdMatch = sameDay(
+        gitlabCreated,
+        githubHead.createdAt || repo.created_at || repo.createdAt,
+      );
+      candidates.push({
+        project,
+        repo,
+        similarity,
+        shaMatch,
+        createdMatch,
+        score: similarity + (shaMatch ? 1 : 0) + (createdMatch ? 0.25 : 0),
+      });
+    }
+  }
+
+  candidates.sort(
+    (a, b) =>
+      b.score - a.score ||
+      projectLabel(a.project).localeCompare(projectLabel(b.project)),
+  );
+  const usedProjects = new Set();
+  const usedRepos = new Set();
+  const suggestions = [];
+  for (const candidate of candidates) {
+    if (usedProjects.has(candidate.project) || usedRepos.has(candidate.repo)) {
+      continue;
+    }
+    usedProjects.add(candidate.project);
+    usedRepos.add(candidate.repo);
+    suggestions.push({
+      gitlab_id: candidate.project.id || "",
+      gitlab_path: candidate.project.path_with_namespace || "",
+      github_name: candidate.repo.name,
+      github_name_with_owner:
+        candidate.repo.name_with_owner || candidate.repo.nameWithOwner || "",
+      confidence: confidenceOf(candidate),
+      score: candidate.score.toFixed(2),
+      name_similarity: candidate.similarity.toFixed(2),
+      sha_match: candidate.shaMatch,
+      created_match: candidate.createdMatch,
+    });
+  }
+
+  const counts = { high: 0, medium: 0, low: 0 };
+  for (const suggestion of suggestions) {
+    counts[suggestion.confidence] += 1;
+  }
+  return {
+    suggestions,
+    counts: {
+      unmatched_gitlab: gitlabPool.length,
+      unmatched_github: githubPool.length,
+      suggested: suggestions.length,
+      ...counts,
+    },
+    invalidOverrides: matched.invalidOverrides,
+  };
+}
+
+module.exports = {
+  SUGGESTION_HEADERS,
+  normalizeName,
+  nameSimilarity,
+  suggestMappings,
+};
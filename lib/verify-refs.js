@@ -0,0 +1,225 @@
+const { gitlabApiBase, gitlabPaginate } = require("./gitlab");
+const { githubPaginate, resolveGithubToken } = require("./github");
+const { matchProjects } = require("./matching");
+const { mapConcurrent, clampConcurrency } = require("./concurrency");
+const { silentLogger } = require("./logger");
+const { ConfigError, GitHubApiError } = require("./errors");
+
+const VERIFY_REFS_HEADERS = [
+  "name",
+  "github_name_with_owner",
+  "gitlab_path_with_namespace",
+  "ref_type",
+  "ref_name",
+  "gitlab_sha",
+  "github_sha",
+  "status",
+  "error",
+];
+
+// An empty repository (409) has no refs. A missing, renamed or invisible
+// repo (404) is an error for the pair rather than every GitLab ref
+// reported as missing on GitHub.
+async function fetchGithubRefs(nameWithOwner, namespace, token) {
+  let records;
+  try {
+    records = await githubPaginate(
+      `repos/${nameWithOwner}/git/matching-refs/${namespace}?per_page=100`,
+      token,
+    );
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return {};
+    }
+    if (error.statusCode === 404) {
+      throw new GitHubApiError(
+        `GitHub repo '${nameWithOwner}' not found, renamed or not visible to the token.`,
+        { statusCode: error.statusCode, cause: error },
+      );
+    }
+    throw error;
+  }
+
+  const prefix = `refs/${namespace}/`;
+  const refs = {};
+  for (const record of records) {
+    if (record.ref && record.ref.startsWith(prefix)) {
+      refs[record.ref.slice(prefix.length)] =
+        (record.object && record.object.sha) || "";
+    }
+  }
+  return refs;
+}
+
+async function fetchGitlabRefs(apiBase, token, pathWithNamespace, kind) {
+  const projectId = encodeURIComponent(pathWithNamespace);
+  const records = await gitlabPaginate(
+    apiBase,
+    token,
+    `/projects/${projectId}/repository/${kind}`,
+  );
+  const refs = {};
+  for (const ref of records) {
+    // Annotated tags expose the tag object as `target`, which is what
+    // GitHub's refs API reports for them too.
+    const sha =
+      kind === "tags"
+        ? ref.target || (ref.commit && ref.commit.id) || ""
+        : (ref.commit && ref.commit.id) || "";
+    refs[ref.name] = sha;
+  }
+  return refs;
+}
+
+function diffRefs(refType, gitlabRefs, githubRefs) {
+  const diffs = [];
+  const counters = {
+    matching: 0,
+    missingOnGithub: 0,
+    shaMismatch: 0,
+    onlyOnGithub: 0,
+  };
+
+  for (const name of Object.keys(gitlabRefs).sort()) {
+    const gitlabSha = gitlabRefs[name];
+    if (!Object.prototype.hasOwnProperty.call(githubRefs, name)) {
+      counters.missingOnGithub += 1;
+      diffs.push({
+        refType,
+        refName: name,
+        gitlabSha,
+        githubSha: "",
+        status: "missing_on_github",
+      });
+    } else if (githubRefs[name] !== gitlabSha) {
+      counters.shaMismatch += 1;
+      diffs.push({
+        refType,
+        refName: name,
+        gitlabSha,
+        githubSha: githubRefs[name],
+        status: "sha_mismatch",
+      });
+    } else {
+      counters.matching += 1;
+    }
+  }
+
+  for (const name of Object.keys(githubRefs).sort()) {
+    if (!Object.prototype.hasOwnProperty.call(gitlabRefs, name)) {
+      counters.onlyOnGithub += 1;
+      diffs.push({
+        refType,
+        refName: name,
+        gitlabSha: "",
+        githubSha: githubRefs[name],
+        status: "only_on_github",
+      });
+    }
+  }
+
+  return { diffs, counters };
+}
+
+async function verifyPair(apiBase, token, githubToken, pair) {
+  const summary = {
+    name: pair.name,
+    matching: 0,
+    missingOnGithub: 0,
+    shaMismatch: 0,
+    onlyOnGithub: 0,
+    error: "",
+  };
+  const rows = [];
+
+  try {
+    const [gitlabBranches, gitlabTags, githubBranches, githubTags] =
+      await Promise.all([
+        fetchGitlabRefs(apiBase, token, pair.pathWithNamespace, "branches"),
+        fetchGitlabRefs(apiBase, token, pair.pathWithNamespace, "tags"),
+        fetchGithubRefs(pair.nameWithOwner, "heads", githubToken),
+        fetchGithubRefs(pair.nameWithOwner, "tags", githubToken),
+      ]);
+
+    for (const [refType, gitlabRefs, githubRefs] of [
+      ["branch", gitlabBranches, githubBranches],
+      ["tag", gitlabTags, githubTags],
+    ]) {
+      const { diffs, counters } = diffRefs(refType, gitlabRefs, githubRefs);
+      summary.matching += counters.matching;
+      summary.missingOnGithub += counters.missingOnGithub;
+      summary.shaMismatch += counters.shaMismatch;
+      summary.onlyOnGithub += counters.onlyOnGithub;
+      for (const diff of diffs) {
+        rows.push({
+          name: pair.name,
+          github_name_with_owner: pair.nameWithOwner,
+          gitlab_path_with_namespace: pair.pathWithNamespace,
+          ref_type: diff.refType,
+          ref_name: diff.refName,
+          gitlab_sha: diff.gitlabSha,
+          github_sha: diff.githubSha,
+          status: diff.status,
+        });
+      }
+    }
+  } catch (error) {
+    summary.error = error.message;
+    rows.push({
+      name: pair.name,
+      github_name_with_owner: pair.nameWithOwner,
+      gitlab_path_with_namespace: pair.pathWithNamespace,
+      status: "error",
+      error: error.message,
+    });
+  }
+
+  return { summary, rows };
+}
+
+// Compares every branch and tag of each matched pair of crawl report
+// records. Resolves with one summary per pair plus the differing refs.
+async function verifyRefs(githubRecords, gitlabRecords, options = {}) {
+  const logger = options.logger || silentLogger;
+  if (!options.gitlabToken) {
+    throw new ConfigError(
+      "GITLAB_TOKEN missing. Set it before running this script.",
+    );
+  }
+  const apiBase = gitlabApiBase(options.gitlabUrl);
+  const githubToken = await resolveGithubToken(options.githubToken);
+  const matched = matchProjects(githubRecords, gitlabRecords, options);
+  const pairs = matched.pairs.map(({ name, github, gitlab }) => ({
+    name,
+    nameWithOwner: github.name_with_owner || github.nameWithOwner || "",
+    pathWithNamespace: gitlab.path_with_namespace || "",
+  }));
+
+  logger.log(
+    `Verifying branches and tags for ${pairs.length} matched repos ...`,
+  );
+  const results = await mapConcurrent(
+    pairs,
+    clampConcurrency(options.concurrency, 4, 8),
+    (pair) => verifyPair(apiBase, options.gitlabToken, githubToken, pair),
+    (verified, total) => {
+      if (verified % 25 === 0 || verified === total) {
+        logger.log(`  Verified refs for ${verified}/${total} repos...`);
+      }
+    },
+  );
+
+  return {
+    summaries: results.map((result) => result.summary),
+    rows: results.flatMap((result) => result.rows),
+    ambiguous: matched.ambiguous,
+    invalidOverrides: matched.invalidOverrides,
+  };
+}
+
+module.exports = {
+  VERIFY_REFS_HEADERS,
+  fetchGithubRefs,
+  diffRefs,
+  verifyRefs,
+};
@@ -0,0 +1,123 @@
+const { matchProjects } = require("./matching");
+
+const VISIBILITY_HEADERS = [
+  "name",
+  "severity",
+  "gitlab_visibility",
+  "github_visibility",
+  "gitlab_path_with_namespace",
+  "gitlab_web_url",
+  "github_name_with_owner",
+  "github_url",
+];
+
+// Higher is more permissive. GitHub's "internal" (Enterprise) is visible to
+// every member of the enterprise, much like GitLab's "internal".
+const VISIBILITY_RANK = { private: 0, internal: 1, public: 2 };
+
+const SEVERITY_ORDER = ["critical", "high", "medium"];
+
+function normalizeVisibility(value) {
+  const normalized = String(value || "").trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(VISIBILITY_RANK, normalized)
+    ? normalized
+    : "";
+}
+
+// private → public is critical, internal → public high, private → internal
+// medium. Anything equal or more restrictive on GitHub is not a finding.
+function exposureSeverity(gitlabVisibility, githubVisibility) {
+  if (VISIBILITY_RANK[githubVisibility] <= VISIBILITY_RANK[gitlabVisibility]) {
+    return null;
+  }
+  if (githubVisibility === "public") {
+    return gitlabVisibility === "private" ? "critical" : "high";
+  }
+  return "medium";
+}
+
+// The candidate a repo matching several projects could expose the most:
+// the one with the most restrictive known visibility.
+function mostRestrictive(candidates) {
+  let picked = null;
+  for (const candidate of candidates) {
+    const visibility = normalizeVisibility(candidate.visibility);
+    if (
+      visibility &&
+      (!picked ||
+        VISIBILITY_RANK[visibility] <
+          VISIBILITY_RANK[normalizeVisibility(picked.visibility)])
+    ) {
+      picked = candidate;
+    }
+  }
+  return picked || candidates[0];
+}
+
+// Flags matched repos whose GitHub visibility is more permissive than the
+// GitLab project's, most severe first. Pairs where either side's visibility
+// is missing or unrecognised are counted as unknown rather than guessed.
+// A repo matching several projects is checked against the most restrictive
+// one, so an unresolved match cannot hide an exposure.
+function checkVisibility(githubRecords, gitlabRecords, options = {}) {
+  const { pairs, missingInGitLab, ambiguous, invalidOverrides } =
+    matchProjects(githubRecords, gitlabRecords, options);
+  const findings = [];
+  const counts = {
+    compared: 0,
+    critical: 0,
+    high: 0,
+    medium: 0,
+    unknown: 0,
+    missing_in_gitlab: missingInGitLab.length,
+    ambiguous: ambiguous.length,
+  };
+
+  const checked = [
+    ...pairs,
+    ...ambiguous.map((entry) => ({
+      name: entry.name,
+      github: entry.github,
+      gitlab: mostRestrictive(entry.candidates),
+    })),
+  ];
+  for (const { name, github, gitlab } of checked) {
+    const githubVisibility = normalizeVisibility(github.visibility);
+    const gitlabVisibility = normalizeVisibility(gitlab.visibility);
+    if (!githubVisibility || !gitlabVisibility) {
+      counts.unknown += 1;
+      continue;
+    }
+    counts.compared += 1;
+    const severity = exposureSeverity(gitlabVisibility, githubVisibility);
+    if (!severity) {
+      continue;
+    }
+    counts[severity] += 1;
+    findings.push({
+      name,
+      severity,
+      gitlab_visibility: gitlabVisibility,
+      github_visibility: githubVisibility,
+      gitlab_path_with_namespace: gitlab.path_with_namespace || "",
+      gitlab_web_url: gitlab.web_url || "",
+      github_name_with_owner:
+        github.name_with_owner || github.nameWithOwner || "",
+      github_url: github.url || "",
+    });
+  }
+
+  findings.sort(
+    (a, b) =>
+      SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+      a.name.localeCompare(b.name),
+  );
+  return { findings, counts, ambiguous, invalidOverrides };
+}
+
+module.exports = {
+  VISIBILITY_HEADERS,
+  normalizeVisibility,
+  exposureSeverity,
+  checkVisibility,
+};
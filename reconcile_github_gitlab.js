@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const { writeCsv } = require("./lib/csv");
+const { readGithubReport, readGitlabReport } = require("./lib/reports");
+const { matchOptionsFromConfig, warnMatchIssues } = require("./lib/matching");
+const { extractFormat, loggerFor, writeOutput } = require("./lib/output");
+const { RECONCILE_HEADERS, reconcileProjects } = require("./lib/reconcile");
+const { extractFailOn, applyFailOn } = require("./lib/fail-on");
+
+const FAIL_ON_CONDITIONS = [
+  "gitlab_only",
+  "gitlab_only_active",
+  "github_only",
+  "not_archived",
+  "ambiguous",
+];
+
+async function main() {
+  loadEnv();
+  const config = resolveConfig();
+  const { format, args } = extractFormat(process.argv.slice(2));
+  const { failOn } = extractFailOn(args, FAIL_ON_CONDITIONS);
+  const logger = loggerFor(format);
+  const githubPath = config.githubReportPath;
+  const gitlabPath = config.gitlabReportPath;
+  const outputPath = config.reconcileReportPath;
+
+  logger.log(`Loading GitHub report from ${githubPath}`);
+  const githubRecords = readGithubReport(githubPath);
+  logger.log(`Loaded ${githubRecords.length} GitHub repos.`);
+
+  logger.log(`Loading GitLab report from ${gitlabPath}`);
+  const gitlabRecords = readGitlabReport(gitlabPath);
+  logger.log(`Loaded ${gitlabRecords.length} GitLab projects.`);
+
+  const reconciliation = reconcileProjects(
+    githubRecords,
+    gitlabRecords,
+    matchOptionsFromConfig(config),
+  );
+  const { rows, counts } = reconciliation;
+  warnMatchIssues(reconciliation, logger);
+
+  writeCsv(outputPath, RECONCILE_HEADERS, rows);
+  logger.log(`Wrote reconciliation report to ${outputPath}`);
+  applyFailOn(
+    failOn,
+    { ...counts, not_archived: counts.matched_gitlab_active },
+    logger,
+  );
+
+  if (format) {
+    writeOutput(format, {
+      headers: RECONCILE_HEADERS,
+      rows,
+      summary: counts,
+    });
+    return;
+  }
+
+  console.log("\nReconciliation summary:");
+  console.log(
+    `  Matched: ${counts.matched} (${counts.matched_gitlab_active} still active on GitLab)`,
+  );
+  console.log(
+    `  GitLab only: ${counts.gitlab_only} (${counts.gitlab_only_active} active, not archived)`,
+  );
+  console.log(`  GitHub only: ${counts.github_only}`);
+  console.log(`  Ambiguous (candidate GitLab projects): ${counts.ambiguous}`);
+
+  const remaining = rows.filter(
+    (row) => row.status === "gitlab_only" && row.gitlab_archived === "false",
+  );
+  if (remaining.length > 0) {
+    console.log("\nActive GitLab projects with no GitHub repo (left to migrate):");
+    for (const row of remaining) {
+      console.log(
+        `- ${row.gitlab_path_with_namespace}: last activity ${
+          row.gitlab_last_activity_at || "unknown"
+        }, ${row.gitlab_web_url}`,
+      );
+    }
+  } else {
+    console.log("\nEvery active GitLab project has a GitHub repo.");
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
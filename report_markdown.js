@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const { readGithubReport, readGitlabReport } = require("./lib/reports");
+const { matchOptionsFromConfig } = require("./lib/matching");
+const {
+  displayOptionsFromConfig,
+  driftOptionsFromConfig,
+} = require("./lib/last-change");
+const { extractFormat, stderrLogger, writeOutput } = require("./lib/output");
+const { resolveGithubToken, upsertIssueComment } = require("./lib/github");
+const { ConfigError } = require("./lib/errors");
+const { extractFailOn, applyFailOn } = require("./lib/fail-on");
+const {
+  REPORT_MARKER,
+  ACTION_HEADERS,
+  buildMarkdownReportData,
+  renderMarkdownReport,
+} = require("./lib/markdown-report");
+
+const FAIL_ON_CONDITIONS = [
+  "to_archive",
+  "to_resync",
+  "to_review",
+  "ambiguous",
+];
+
+function issueRepo(config) {
+  if (!config.reportIssueRepo) {
+    throw new ConfigError(
+      "MIGRATION_ISSUE_REPO is required with MIGRATION_ISSUE (owner/name).",
+    );
+  }
+  return config.reportIssueRepo.includes("/")
+    ? config.reportIssueRepo
+    : `${config.githubOrg}/${config.reportIssueRepo}`;
+}
+
+async function main() {
+  loadEnv();
+  const config = resolveConfig();
+  const { format, args } = extractFormat(process.argv.slice(2));
+  const { failOn } = extractFailOn(args, FAIL_ON_CONDITIONS);
+  // The report itself goes to stdout, so progress always goes to stderr.
+  const logger = stderrLogger;
+  const githubPath = config.githubReportPath;
+  const gitlabPath = config.gitlabReportPath;
+
+  logger.log(`Loading GitHub report from ${githubPath}`);
+  const githubRecords = readGithubReport(githubPath);
+  logger.log(`Loading GitLab report from ${gitlabPath}`);
+  const gitlabRecords = readGitlabReport(gitlabPath);
+
+  const data = buildMarkdownReportData(githubRecords, gitlabRecords, {
+    ...matchOptionsFromConfig(config),
+    ...driftOptionsFromConfig(config),
+  });
+  const markdown = renderMarkdownReport(
+    data,
+    displayOptionsFromConfig(config),
+  );
+  const counts = { archive: 0, resync: 0, review: 0 };
+  for (const item of data.items) {
+    counts[item.action] += 1;
+  }
+  applyFailOn(
+    failOn,
+    {
+      to_archive: counts.archive,
+      to_resync: counts.resync,
+      to_review: counts.review,
+      ambiguous: data.archiveCounters.ambiguous,
+    },
+    logger,
+  );
+
+  if (config.reportIssue) {
+    const repo = issueRepo(config);
+    const token = await resolveGithubToken(config.githubToken);
+    logger.log(`Posting report to ${repo}#${config.reportIssue}`);
+    const comment = await upsertIssueComment(
+      repo,
+      config.reportIssue,
+      REPORT_MARKER,
+      markdown,
+      token,
+    );
+    logger.log(
+      `${comment.action === "updated" ? "Updated" : "Created"} comment ${
+        comment.url
+      }`,
+    );
+  }
+
+  if (format && format !== "markdown") {
+    writeOutput(format, {
+      headers: ACTION_HEADERS,
+      rows: data.items,
+      summary: {
+        ...data.archiveCounters,
+        to_archive: counts.archive,
+        to_resync: counts.resync,
+        to_review: counts.review,
+        already_archived: data.archived.length,
+      },
+    });
+    return;
+  }
+
+  process.stdout.write(markdown);
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const { writeCsv } = require("./lib/csv");
+const { readGithubReport, readGitlabReport } = require("./lib/reports");
+const { matchOptionsFromConfig, warnMatchIssues } = require("./lib/matching");
+const { extractFormat, loggerFor, writeOutput } = require("./lib/output");
+const {
+  SUGGESTION_HEADERS,
+  suggestMappings,
+} = require("./lib/suggest-mappings");
+
+async function main() {
+  loadEnv();
+  const config = resolveConfig();
+  const { format, args } = extractFormat(process.argv.slice(2));
+  const logger = loggerFor(format);
+  const offline = args.includes("--offline");
+  const githubPath = config.githubReportPath;
+  const gitlabPath = config.gitlabReportPath;
+  const outputPath = config.suggestionsPath;
+
+  logger.log(`Loading GitHub report from ${githubPath}`);
+  const githubRecords = readGithubReport(githubPath);
+  logger.log(`Loading GitLab report from ${gitlabPath}`);
+  const gitlabRecords = readGitlabReport(gitlabPath);
+
+  const result = await suggestMappings(githubRecords, gitlabRecords, {
+    ...matchOptionsFromConfig(config),
+    useApi: !offline,
+    gitlabUrl: config.gitlabUrl,
+    gitlabToken: config.gitlabToken,
+    githubToken: config.githubToken,
+    concurrency: config.shaConcurrency,
+    logger,
+  });
+  const { suggestions, counts } = result;
+  warnMatchIssues({ invalidOverrides: result.invalidOverrides }, logger);
+
+  writeCsv(outputPath, SUGGESTION_HEADERS, suggestions);
+  logger.log(`Wrote mapping suggestions to ${outputPath}`);
+
+  if (format) {
+    writeOutput(format, {
+      headers: SUGGESTION_HEADERS,
+      rows: suggestions,
+      summary: counts,
+    });
+    return;
+  }
+
+  console.log("\nSuggestion summary:");
+  console.log(`  Unmatched GitLab projects: ${counts.unmatched_gitlab}`);
+  console.log(`  Unmatched GitHub repos: ${counts.unmatched_github}`);
+  console.log(
+    `  Suggested pairs: ${counts.suggested} (high ${counts.high}, medium ${counts.medium}, low ${counts.low})`,
+  );
+
+  if (suggestions.length === 0) {
+    console.log("\nNo likely pairs found.");
+    return;
+  }
+
+  console.log("\nSuggested mappings (GitLab -> GitHub):");
+  for (const item of suggestions) {
+    const signals = [
+      `name ${item.name_similarity}`,
+      item.sha_match ? "same HEAD SHA" : "",
+      item.created_match ? "created same day" : "",
+    ].filter(Boolean);
+    console.log(
+      `- [${item.confidence}] ${item.gitlab_path} -> ${item.github_name} (${signals.join(", ")})`,
+    );
+  }
+  console.log(
+    `\nReview ${outputPath}; the rows you agree with can be copied as they are into a CSV match overrides file (MATCH_OVERRIDES_PATH, e.g. match_overrides.csv).`,
+  );
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { safetyCheck } = require("../lib/archive");
+
+const row = { github_name: "site", gitlab_path_with_namespace: "g/site" };
+
+function evidence({ parity, gitlabUpdatedAt, githubPushedAt }) {
+  return {
+    parityByPath: parity ? { "g/site": parity } : {},
+    githubByName: { site: { name: "site", pushed_at: githubPushedAt } },
+    gitlabByPath: {
+      "g/site": {
+        path_with_namespace: "g/site",
+        last_repository_updated_at: gitlabUpdatedAt,
+      },
+    },
+  };
+}
+
+test("a current safe SHA parity row allows archiving", () => {
+  const result = safetyCheck(
+    row,
+    evidence({
+      parity: { status: "identical", checked_at: "2024-05-02T00:00:00Z" },
+      gitlabUpdatedAt: "2024-05-01T00:00:00Z",
+      githubPushedAt: "2024-04-01T00:00:00Z",
+    }),
+  );
+  assert.strictEqual(result.ok, true);
+});
+
+test("a parity match older than GitLab's last update blocks archiving", () => {
+  const result = safetyCheck(
+    row,
+    evidence({
+      parity: { status: "identical", checked_at: "2024-05-01T00:00:00Z" },
+      gitlabUpdatedAt: "2024-05-03T00:00:00Z",
+      githubPushedAt: "2024-05-01T00:00:00Z",
+    }),
+  );
+  assert.strictEqual(result.ok, false);
+  assert.match(result.reason, /predates GitLab's last update/);
+});
+
+test("a parity row without checked_at blocks archiving", () => {
+  const result = safetyCheck(
+    row,
+    evidence({
+      parity: { status: "identical" },
+      gitlabUpdatedAt: "2024-05-01T00:00:00Z",
+      githubPushedAt: "2024-05-02T00:00:00Z",
+    }),
+  );
+  assert.strictEqual(result.ok, false);
+});
+
+test("an unsafe parity status blocks archiving", () => {
+  const result = safetyCheck(
+    row,
+    evidence({
+      parity: { status: "gitlab_ahead", checked_at: "2024-05-02T00:00:00Z" },
+      gitlabUpdatedAt: "2024-05-01T00:00:00Z",
+      githubPushedAt: "2024-05-02T00:00:00Z",
+    }),
+  );
+  assert.deepStrictEqual(result, {
+    ok: false,
+    reason: "sha_parity=gitlab_ahead",
+  });
+});
+
+test("without parity, a newer GitLab timestamp blocks archiving", () => {
+  const result = safetyCheck(
+    row,
+    evidence({
+      gitlabUpdatedAt: "2024-05-03T00:00:00Z",
+      githubPushedAt: "2024-05-01T00:00:00Z",
+    }),
+  );
+  assert.deepStrictEqual(result, {
+    ok: false,
+    reason: "timestamp=gitlab_newer",
+  });
+});
@@ -0,0 +1,60 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseJsonRecords, readCsv } = require("../lib/csv");
+const { loadLedger } = require("../lib/ledger");
+const { loadSnapshot } = require("../lib/snapshots");
+const { ConfigError } = require("../lib/errors");
+
+test("parses a JSON array of records", () => {
+  assert.deepStrictEqual(parseJsonRecords('[{"name":"a","size":1}]'), [
+    { name: "a", size: "1" },
+  ]);
+});
+
+test("parses a --format json document", () => {
+  const content = JSON.stringify({ summary: { total: 1 }, rows: [{ a: 1 }] });
+  assert.deepStrictEqual(parseJsonRecords(content), [{ a: "1" }]);
+});
+
+test("parses NDJSON and skips the summary line", () => {
+  const content = '{"a":1}\n{"a":2}\n{"summary":{"total":2}}\n';
+  assert.deepStrictEqual(parseJsonRecords(content), [{ a: "1" }, { a: "2" }]);
+});
+
+test("parses one-line NDJSON holding a single record", () => {
+  assert.deepStrictEqual(parseJsonRecords('{"name":"a","archived":true}\n'), [
+    { name: "a", archived: "true" },
+  ]);
+});
+
+test("parses summary-only NDJSON as no records", () => {
+  assert.deepStrictEqual(parseJsonRecords('{"summary":{"total":0}}\n'), []);
+});
+
+test("rejects JSON that holds no records", () => {
+  assert.throws(
+    () => parseJsonRecords("[1, 2]"),
+    (error) =>
+      error instanceof ConfigError && /JSON report must be/.test(error.message),
+  );
+});
+
+test("malformed input files raise a ConfigError naming the file", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const pathname = path.join(dir, "broken.json");
+  fs.writeFileSync(pathname, '{"name": "a",\n');
+  for (const read of [readCsv, loadLedger, loadSnapshot]) {
+    assert.throws(
+      () => read(pathname),
+      (error) =>
+        error instanceof ConfigError &&
+        error.message.includes(pathname) &&
+        error.cause instanceof Error,
+      read.name,
+    );
+  }
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  EXIT_FINDINGS,
+  extractFailOn,
+  applyFailOn,
+} = require("../lib/fail-on");
+const { ConfigError } = require("../lib/errors");
+
+const CONDITIONS = ["gitlab_newer", "missing_in_gitlab", "ambiguous"];
+
+test("extractFailOn pulls every --fail-on out of argv", () => {
+  assert.deepStrictEqual(
+    extractFailOn(
+      ["--commits", "--fail-on", "gitlab_newer", "--fail-on=AMBIGUOUS", "x"],
+      CONDITIONS,
+    ),
+    { failOn: ["gitlab_newer", "ambiguous"], args: ["--commits", "x"] },
+  );
+});
+
+test("extractFailOn falls back to the defaults without the flag", () => {
+  assert.deepStrictEqual(extractFailOn([], CONDITIONS, ["ambiguous"]), {
+    failOn: ["ambiguous"],
+    args: [],
+  });
+});
+
+test("extractFailOn expands any and clears with none", () => {
+  assert.deepStrictEqual(
+    extractFailOn(["--fail-on", "any"], CONDITIONS).failOn,
+    CONDITIONS,
+  );
+  assert.deepStrictEqual(
+    extractFailOn(["--fail-on", "none"], CONDITIONS, ["ambiguous"]).failOn,
+    [],
+  );
+  assert.deepStrictEqual(
+    extractFailOn(["--fail-on", "any,none,ambiguous"], CONDITIONS).failOn,
+    ["ambiguous"],
+  );
+});
+
+test("extractFailOn rejects unknown or missing conditions", () => {
+  assert.throws(
+    () => extractFailOn(["--fail-on", "everything"], CONDITIONS),
+    (error) =>
+      error instanceof ConfigError &&
+      /Unknown --fail-on condition 'everything'/.test(error.message),
+  );
+  assert.throws(() => extractFailOn(["--fail-on"], CONDITIONS), ConfigError);
+  assert.throws(() => extractFailOn(["--fail-on=,"], CONDITIONS), ConfigError);
+});
+
+test("applyFailOn sets EXIT_FINDINGS when triggered", (t) => {
+  const previous = process.exitCode;
+  t.after(() => {
+    process.exitCode = previous;
+  });
+  const warnings = [];
+  const logger = { log() {}, warn: (message) => warnings.push(message) };
+
+  process.exitCode = undefined;
+  assert.deepStrictEqual(
+    applyFailOn(["ambiguous"], { ambiguous: 0, gitlab_newer: 3 }, logger),
+    [],
+  );
+  assert.strictEqual(process.exitCode, undefined);
+  assert.deepStrictEqual(warnings, []);
+
+  assert.deepStrictEqual(
+    applyFailOn(
+      ["gitlab_newer", "ambiguous"],
+      { ambiguous: 1, gitlab_newer: 3 },
+      logger,
+    ),
+    [
+      { condition: "gitlab_newer", count: 3 },
+      { condition: "ambiguous", count: 1 },
+    ],
+  );
+  assert.strictEqual(process.exitCode, EXIT_FINDINGS);
+  assert.deepStrictEqual(warnings, [
+    "Failing on gitlab_newer (3), ambiguous (1).",
+  ]);
+});
@@ -0,0 +1,121 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  newCheckpoint,
+  loadCheckpoint,
+  saveCheckpoint,
+  createProgress,
+  reuseCachedDetails,
+} = require("../lib/gitlab-crawl");
+const { silentLogger } = require("../lib/logger");
+
+const since = "2024-05-01T00:00:00.000Z";
+
+function cacheOf(project) {
+  return { items: { [project.id]: project } };
+}
+
+const cached = {
+  id: 1,
+  last_activity_at: "2024-04-01T00:00:00.000Z",
+  last_repository_updated_at: "2024-04-01T00:00:00.000Z",
+  open_merge_requests_count: 2,
+};
+
+test("reuses cached details for an unchanged inactive project", () => {
+  const project = { id: 1, last_activity_at: cached.last_activity_at };
+  assert.strictEqual(reuseCachedDetails([project], cacheOf(cached), since), 1);
+  assert.strictEqual(
+    project.last_repository_updated_at,
+    cached.last_repository_updated_at,
+  );
+  assert.strictEqual(project.open_merge_requests_count, 2);
+});
+
+test("keeps a merge request count the listing already returned", () => {
+  // The GraphQL listing includes the count; only the timestamp is reused.
+  const project = {
+    id: 1,
+    last_activity_at: cached.last_activity_at,
+    open_merge_requests_count: 5,
+  };
+  assert.strictEqual(reuseCachedDetails([project], cacheOf(cached), since), 1);
+  assert.strictEqual(project.open_merge_requests_count, 5);
+});
+
+test("re-fetches projects whose last_activity_at changed", () => {
+  // GitLab bumped last_activity_at late for a push made just before the
+  // cached crawl; the new value still predates the overlap window.
+  const project = { id: 1, last_activity_at: "2024-04-30T23:00:00.000Z" };
+  assert.strictEqual(reuseCachedDetails([project], cacheOf(cached), since), 0);
+  assert.strictEqual(project.last_repository_updated_at, undefined);
+});
+
+test("re-fetches projects active since the cached crawl", () => {
+  const activity = "2024-05-01T00:30:00.000Z";
+  const project = { id: 1, last_activity_at: activity };
+  const cache = cacheOf({ ...cached, last_activity_at: activity });
+  assert.strictEqual(reuseCachedDetails([project], cache, since), 0);
+});
+
+test("re-fetches projects missing from the cache", () => {
+  const project = { id: 2, last_activity_at: cached.last_activity_at };
+  assert.strictEqual(reuseCachedDetails([project], cacheOf(cached), since), 0);
+});
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "gitlab-crawl-test-"));
+}
+
+test("an interrupted crawl resumes from its checkpoint", (t) => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const checkpointPath = path.join(dir, "checkpoint.json");
+  const outputPath = path.join(dir, "report.csv");
+  const columns = ["id", "name"];
+  fs.writeFileSync(outputPath, "id,name\n");
+
+  const state = newCheckpoint("g", "rest", null);
+  state.projects.push({ id: 1, name: "one" }, { id: 2, name: "two" });
+  const progress = createProgress(checkpointPath, outputPath, state, columns);
+  progress.complete([state.projects[0]]);
+  progress.complete([state.projects[0]]);
+  progress.save();
+
+  const resumed = loadCheckpoint(checkpointPath, "g", "rest", silentLogger);
+  assert.deepStrictEqual(resumed.completed, [1]);
+  assert.deepStrictEqual(resumed.projects, state.projects);
+  assert.strictEqual(fs.readFileSync(outputPath, "utf8"), "id,name\n1,one\n");
+
+  const again = createProgress(checkpointPath, outputPath, resumed, columns);
+  assert.strictEqual(again.isComplete({ id: 1 }), true);
+  assert.strictEqual(again.isComplete({ id: 2 }), false);
+  again.complete(resumed.projects);
+  assert.strictEqual(
+    fs.readFileSync(outputPath, "utf8"),
+    "id,name\n1,one\n2,two\n",
+  );
+});
+
+test("ignores unreadable or mismatched checkpoints", (t) => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const checkpointPath = path.join(dir, "checkpoint.json");
+  const warnings = [];
+  const logger = { ...silentLogger, warn: (message) => warnings.push(message) };
+
+  assert.strictEqual(loadCheckpoint(checkpointPath, "g", "rest", logger), null);
+  saveCheckpoint(checkpointPath, newCheckpoint("g", "rest", null));
+  assert.ok(loadCheckpoint(checkpointPath, "g", "rest", logger));
+  assert.strictEqual(loadCheckpoint(checkpointPath, "h", "rest", logger), null);
+  assert.strictEqual(
+    loadCheckpoint(checkpointPath, "g", "graphql", logger),
+    null,
+  );
+  fs.writeFileSync(checkpointPath, "{");
+  assert.strictEqual(loadCheckpoint(checkpointPath, "g", "rest", logger), null);
+  assert.strictEqual(warnings.length, 3);
+});
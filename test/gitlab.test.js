@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { rateLimitResetDelay, retryDelay } = require("../lib/gitlab");
+
+function inRange(value, min, max) {
+  assert.ok(value >= min && value <= max, `${value} not in [${min}, ${max}]`);
+}
+
+test("rateLimitResetDelay waits until RateLimit-Reset once exhausted", () => {
+  const reset = Math.floor(Date.now() / 1000) + 30;
+  inRange(
+    rateLimitResetDelay({
+      "ratelimit-remaining": "0",
+      "ratelimit-reset": String(reset),
+    }),
+    28000,
+    30000,
+  );
+});
+
+test("rateLimitResetDelay ignores budgets that are not exhausted", () => {
+  const reset = String(Math.floor(Date.now() / 1000) + 30);
+  assert.strictEqual(
+    rateLimitResetDelay({
+      "ratelimit-remaining": "5",
+      "ratelimit-reset": reset,
+    }),
+    null,
+  );
+  assert.strictEqual(
+    rateLimitResetDelay({ "ratelimit-remaining": "0", "ratelimit-reset": "x" }),
+    null,
+  );
+  assert.strictEqual(rateLimitResetDelay(), null);
+});
+
+test("rateLimitResetDelay never returns a negative delay", () => {
+  assert.strictEqual(
+    rateLimitResetDelay({
+      "ratelimit-remaining": "0",
+      "ratelimit-reset": String(Math.floor(Date.now() / 1000) - 60),
+    }),
+    0,
+  );
+});
+
+test("retryDelay prefers Retry-After, plus up to 250ms of jitter", () => {
+  inRange(retryDelay(0, { "retry-after": "3" }), 3000, 3250);
+  const reset = String(Math.floor(Date.now() / 1000) + 60);
+  inRange(
+    retryDelay(0, {
+      "retry-after": "3",
+      "ratelimit-remaining": "0",
+      "ratelimit-reset": reset,
+    }),
+    3000,
+    3250,
+  );
+});
+
+test("retryDelay falls back to the rate limit reset", () => {
+  const reset = String(Math.floor(Date.now() / 1000) + 10);
+  inRange(
+    retryDelay(4, { "ratelimit-remaining": "0", "ratelimit-reset": reset }),
+    8000,
+    10250,
+  );
+});
+
+test("retryDelay backs off exponentially up to the maximum", () => {
+  process.env.GITLAB_RETRY_BASE_MS = "100";
+  process.env.GITLAB_RETRY_MAX_MS = "1000";
+  try {
+    inRange(retryDelay(0, {}), 50, 100);
+    inRange(retryDelay(2, {}), 200, 400);
+    inRange(retryDelay(10, {}), 500, 1000);
+  } finally {
+    delete process.env.GITLAB_RETRY_BASE_MS;
+    delete process.env.GITLAB_RETRY_MAX_MS;
+  }
+});
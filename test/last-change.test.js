@@ -0,0 +1,158 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseDuration, formatDuration } = require("../lib/duration");
+const {
+  DEFAULT_DRIFT,
+  driftSeverity,
+  driftOptionsFromConfig,
+  compareLastChanges,
+} = require("../lib/last-change");
+const { resolveConfig } = require("../lib/config");
+const { ConfigError } = require("../lib/errors");
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+test("parseDuration reads units, combinations and bare seconds", () => {
+  assert.strictEqual(parseDuration("90"), 90 * SECOND);
+  assert.strictEqual(parseDuration("15m"), 15 * MINUTE);
+  assert.strictEqual(parseDuration(" 1H30m "), HOUR + 30 * MINUTE);
+  assert.strictEqual(parseDuration("2d"), 2 * DAY);
+  assert.strictEqual(parseDuration("1w"), 7 * DAY);
+  assert.strictEqual(parseDuration("0"), 0);
+});
+
+test("parseDuration rejects anything else with the setting's name", () => {
+  for (const value of ["", "1.5h", "h", "10 m", "1y", "-1d"]) {
+    assert.throws(
+      () => parseDuration(value, "DRIFT_TOLERANCE"),
+      (error) =>
+        error instanceof ConfigError &&
+        error.message.startsWith(`Invalid DRIFT_TOLERANCE '${value}'`),
+    );
+  }
+});
+
+test("formatDuration keeps the two largest units", () => {
+  assert.strictEqual(formatDuration(0), "0s");
+  assert.strictEqual(formatDuration(90 * MINUTE), "1h30m");
+  assert.strictEqual(formatDuration(2 * DAY + 7 * HOUR + MINUTE), "2d7h");
+  assert.strictEqual(formatDuration(500), "500ms");
+});
+
+test("driftSeverity buckets drift at each boundary", () => {
+  const drift = { ...DEFAULT_DRIFT, toleranceMs: 15 * MINUTE };
+  const cases = [
+    [15 * MINUTE, "within_tolerance"],
+    [15 * MINUTE + 1, "minutes"],
+    [HOUR - 1, "minutes"],
+    [HOUR, "hours"],
+    [DAY - 1, "hours"],
+    [DAY, "days"],
+    [7 * DAY - 1, "days"],
+    [7 * DAY, "weeks"],
+  ];
+  for (const [driftMs, severity] of cases) {
+    assert.strictEqual(driftSeverity(driftMs, drift), severity, `${driftMs}`);
+  }
+});
+
+test("driftSeverity counts every lead without a tolerance", () => {
+  assert.strictEqual(driftSeverity(1, DEFAULT_DRIFT), "minutes");
+  assert.strictEqual(driftSeverity(30 * SECOND, DEFAULT_DRIFT), "minutes");
+});
+
+test("driftOptionsFromConfig reads every threshold", () => {
+  const config = resolveConfig({
+    DRIFT_TOLERANCE: "15m",
+    DRIFT_HOURS_AFTER: "2h",
+    DRIFT_DAYS_AFTER: "12h",
+    DRIFT_WEEKS_AFTER: "3d",
+  });
+  assert.deepStrictEqual(driftOptionsFromConfig(config), {
+    drift: {
+      toleranceMs: 15 * MINUTE,
+      hoursAfterMs: 2 * HOUR,
+      daysAfterMs: 12 * HOUR,
+      weeksAfterMs: 3 * DAY,
+    },
+  });
+  assert.deepStrictEqual(
+    driftOptionsFromConfig(resolveConfig({})).drift,
+    DEFAULT_DRIFT,
+  );
+});
+
+test("driftOptionsFromConfig rejects thresholds out of order", () => {
+  for (const env of [
+    { DRIFT_TOLERANCE: "2h" },
+    { DRIFT_HOURS_AFTER: "1d" },
+    { DRIFT_DAYS_AFTER: "30m" },
+    { DRIFT_WEEKS_AFTER: "12h" },
+  ]) {
+    assert.throws(
+      () => driftOptionsFromConfig(resolveConfig(env)),
+      ConfigError,
+      JSON.stringify(env),
+    );
+  }
+  assert.ok(driftOptionsFromConfig(resolveConfig({ DRIFT_TOLERANCE: "1h" })));
+});
+
+function pair(name, pushedAt, gitlabUpdatedAt) {
+  return [
+    { name, pushed_at: pushedAt },
+    {
+      name,
+      path_with_namespace: `g/${name}`,
+      last_repository_updated_at: gitlabUpdatedAt,
+    },
+  ];
+}
+
+test("compareLastChanges fills the drift histogram", () => {
+  const base = Date.parse("2024-05-01T00:00:00Z");
+  const at = (offset) => new Date(base + offset).toISOString();
+  const pairs = [
+    pair("older", at(0), at(-HOUR)),
+    pair("equal", at(0), at(0)),
+    pair("tolerated", at(0), at(10 * MINUTE)),
+    pair("minutes", at(0), at(30 * MINUTE)),
+    pair("hours", at(0), at(3 * HOUR)),
+    pair("days", at(0), at(2 * DAY)),
+    pair("weeks", at(0), at(8 * DAY)),
+    pair("unknown", "", ""),
+  ];
+  const { results, counters } = compareLastChanges(
+    pairs.map(([github]) => github),
+    pairs.map(([, gitlab]) => gitlab),
+    { drift: { toleranceMs: 15 * MINUTE } },
+  );
+  assert.deepStrictEqual(
+    results.map((result) => [result.name, result.status, result.severity]),
+    [
+      ["older", "github_newer_or_equal", ""],
+      ["equal", "github_newer_or_equal", ""],
+      ["tolerated", "within_tolerance", "within_tolerance"],
+      ["minutes", "gitlab_newer", "minutes"],
+      ["hours", "gitlab_newer", "hours"],
+      ["days", "gitlab_newer", "days"],
+      ["weeks", "gitlab_newer", "weeks"],
+      ["unknown", "unknown_timestamps", ""],
+    ],
+  );
+  assert.strictEqual(results[3].driftSeconds, 30 * 60);
+  assert.deepStrictEqual(counters.drift, {
+    within_tolerance: 1,
+    minutes: 1,
+    hours: 1,
+    days: 1,
+    weeks: 1,
+  });
+  assert.strictEqual(counters.gitlabNewer, 4);
+  assert.strictEqual(counters.withinTolerance, 1);
+  assert.strictEqual(counters.githubNewerOrEqual, 2);
+  assert.strictEqual(counters.unknown, 1);
+});
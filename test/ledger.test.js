@@ -0,0 +1,171 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  LEDGER_STATES,
+  syncLedger,
+  advanceLedger,
+  setLedgerException,
+} = require("../lib/ledger");
+
+const AT = "2024-06-01T00:00:00.000Z";
+
+function project(overrides = {}) {
+  return {
+    id: 7,
+    path_with_namespace: "g/site",
+    archived: "true",
+    last_repository_updated_at: "2024-05-01T00:00:00Z",
+    ...overrides,
+  };
+}
+
+// Evidence under which every check passes, unless overridden.
+function evidence({
+  gitlab = project(),
+  repo = { name_with_owner: "o/site", archived: "true" },
+  parity = { status: "identical", checked_at: "2024-05-02T00:00:00Z" },
+  refProblems = 0,
+} = {}) {
+  const projects = gitlab ? [gitlab] : [];
+  return {
+    projects,
+    gitlabById: new Map(projects.map((p) => [String(p.id), p])),
+    githubByProjectId: new Map(repo ? [["7", repo]] : []),
+    parityByPath: new Map(parity ? [["g/site", parity]] : []),
+    refProblemsByPath: new Map([["g/site", refProblems]]),
+  };
+}
+
+function syncedLedger(sourceEvidence = evidence()) {
+  const ledger = { projects: {} };
+  syncLedger(ledger, sourceEvidence, "tester", AT);
+  return ledger;
+}
+
+test("syncLedger adds crawled projects as not_started", () => {
+  const ledger = { projects: {} };
+  const counts = syncLedger(ledger, evidence(), "tester", AT);
+  assert.deepStrictEqual(counts, { added: 1, renamed: 0, gone: 0 });
+  const entry = ledger.projects["7"];
+  assert.strictEqual(entry.state, "not_started");
+  assert.strictEqual(entry.github, "o/site");
+  assert.deepStrictEqual(entry.history, [
+    { to: "not_started", note: "added", by: "tester", at: AT },
+  ]);
+});
+
+test("syncLedger follows renames and counts gone projects", () => {
+  const ledger = syncedLedger();
+  const renamed = evidence({
+    gitlab: project({ path_with_namespace: "g/new-site" }),
+  });
+  let counts = syncLedger(ledger, renamed, "tester", AT);
+  assert.deepStrictEqual(counts, { added: 0, renamed: 1, gone: 0 });
+  const entry = ledger.projects["7"];
+  assert.strictEqual(entry.path, "g/new-site");
+  assert.strictEqual(entry.state, "not_started");
+  assert.strictEqual(entry.history.at(-1).note, "renamed from g/site");
+
+  counts = syncLedger(ledger, evidence({ gitlab: null }), "tester", AT);
+  assert.deepStrictEqual(counts, { added: 0, renamed: 0, gone: 1 });
+  assert.ok(ledger.projects["7"], "gone projects stay in the ledger");
+});
+
+test("advanceLedger moves one state at a time", () => {
+  const ledger = syncedLedger();
+  const entry = ledger.projects["7"];
+  const [result] = advanceLedger(ledger, evidence(), [entry], "tester", AT);
+  assert.deepStrictEqual(result, {
+    gitlab_id: 7,
+    gitlab_path: "g/site",
+    from: "not_started",
+    to: "retired",
+    blocked_by: "",
+  });
+  const steps = entry.history.filter((change) => change.from);
+  assert.deepStrictEqual(
+    steps.map((change) => [change.from, change.to]),
+    LEDGER_STATES.slice(1).map((state, index) => [LEDGER_STATES[index], state]),
+  );
+  assert.ok(steps.every((change) => change.evidence && change.by === "tester"));
+});
+
+const BLOCKERS = [
+  ["mirrored", { repo: null }, "no matching GitHub repo"],
+  [
+    "verified",
+    { parity: { status: "diverged", checked_at: "2024-05-02T00:00:00Z" } },
+    "sha_parity=diverged",
+  ],
+  [
+    "verified",
+    { parity: { status: "identical", checked_at: "2024-04-01T00:00:00Z" } },
+    "sha_parity=identical predates GitLab's last update; re-run check_sha_parity.js",
+  ],
+  ["verified", { refProblems: 2 }, "2 refs missing or mismatched"],
+  [
+    "gitlab_archived",
+    { gitlab: project({ archived: "false" }) },
+    "GitLab project not archived",
+  ],
+  [
+    "retired",
+    { repo: { name_with_owner: "o/site", archived: "false" } },
+    "GitHub repo not archived",
+  ],
+];
+
+for (const [state, overrides, reason] of BLOCKERS) {
+  test(`advanceLedger stops before ${state}: ${reason}`, () => {
+    const ledger = syncedLedger();
+    const entry = ledger.projects["7"];
+    const [result] = advanceLedger(
+      ledger,
+      evidence(overrides),
+      [entry],
+      "tester",
+      AT,
+    );
+    const previous = LEDGER_STATES[LEDGER_STATES.indexOf(state) - 1];
+    assert.strictEqual(result.to, previous);
+    assert.strictEqual(entry.state, previous);
+    assert.strictEqual(result.blocked_by, `${state}: ${reason}`);
+  });
+}
+
+test("advanceLedger never moves an entry backwards", () => {
+  const ledger = syncedLedger();
+  const entry = ledger.projects["7"];
+  advanceLedger(ledger, evidence(), [entry], "tester", AT);
+  const [result] = advanceLedger(
+    ledger,
+    evidence({ repo: null }),
+    [entry],
+    "tester",
+    AT,
+  );
+  assert.strictEqual(result.to, "retired");
+  assert.strictEqual(entry.state, "retired");
+});
+
+test("an exception freezes an entry until it is cleared", () => {
+  const ledger = syncedLedger();
+  const entry = ledger.projects["7"];
+  setLedgerException(entry, "client contract", "tester", AT);
+  assert.deepStrictEqual(entry.exception, {
+    reason: "client contract",
+    by: "tester",
+    at: AT,
+  });
+
+  const [blocked] = advanceLedger(ledger, evidence(), [entry], "tester", AT);
+  assert.strictEqual(blocked.to, "not_started");
+  assert.strictEqual(blocked.blocked_by, "exception: client contract");
+  assert.strictEqual(entry.state, "not_started");
+
+  setLedgerException(entry, "", "tester", AT);
+  assert.strictEqual(entry.exception, null);
+  assert.strictEqual(entry.history.at(-1).note, "exception cleared");
+  const [advanced] = advanceLedger(ledger, evidence(), [entry], "tester", AT);
+  assert.strictEqual(advanced.to, "retired");
+});
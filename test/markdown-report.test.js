@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { buildMarkdownReportData } = require("../lib/markdown-report");
+
+function actionFor(pushedAt, gitlabUpdatedAt) {
+  const { items } = buildMarkdownReportData(
+    [{ name: "site", pushed_at: pushedAt }],
+    [
+      {
+        name: "site",
+        path_with_namespace: "g/site",
+        archived: "false",
+        last_repository_updated_at: gitlabUpdatedAt,
+      },
+    ],
+  );
+  return items.map((item) => item.action);
+}
+
+test("archives only projects GitHub is up to date with", () => {
+  assert.deepStrictEqual(
+    actionFor("2024-05-02T00:00:00Z", "2024-05-01T00:00:00Z"),
+    ["archive"],
+  );
+});
+
+test("re-syncs projects GitLab changed later", () => {
+  assert.deepStrictEqual(
+    actionFor("2024-05-01T00:00:00Z", "2024-05-02T00:00:00Z"),
+    ["resync"],
+  );
+  assert.deepStrictEqual(actionFor("", "2024-05-02T00:00:00Z"), ["resync"]);
+});
+
+test("leaves projects with unknown timestamps for review", () => {
+  assert.deepStrictEqual(actionFor("", ""), ["review"]);
+  assert.deepStrictEqual(actionFor("2024-05-02T00:00:00Z", ""), ["review"]);
+});
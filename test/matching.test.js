@@ -0,0 +1,169 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { matchProjects, normalizeOverrides } = require("../lib/matching");
+
+const GROUP = "acme/work";
+
+test("normalizeOverrides reads object keys by their shape", () => {
+  assert.deepStrictEqual(
+    normalizeOverrides({
+      123: "o/Website",
+      "Acme/Work/Shop": "shop",
+      Blog: "acme/work/old-blog",
+      api: "456",
+      "acme/work/retired": "",
+    }),
+    [
+      { gitlabId: "123", githubName: "website" },
+      { gitlabPath: "acme/work/shop", githubName: "shop" },
+      { gitlabPath: "acme/work/old-blog", githubName: "blog" },
+      { gitlabId: "456", githubName: "api" },
+      { gitlabPath: "acme/work/retired", githubName: "" },
+    ],
+  );
+});
+
+test("normalizeOverrides reads CSV records and normalised entries", () => {
+  assert.deepStrictEqual(
+    normalizeOverrides([
+      { gitlab_id: " 7 ", gitlab_path: "", github_name: "O/Site" },
+      { gitlab_path_with_namespace: "Acme/Shop", github_name_with_owner: "" },
+      { gitlabPath: "acme/blog", githubName: "Blog" },
+    ]),
+    [
+      { gitlabId: "7", gitlabPath: "", githubName: "site" },
+      { gitlabId: "", gitlabPath: "acme/shop", githubName: "" },
+      { gitlabId: "", gitlabPath: "acme/blog", githubName: "blog" },
+    ],
+  );
+});
+
+function project(path, id) {
+  return { id, name: path.split("/").pop(), path_with_namespace: path };
+}
+
+function matchedPaths(result) {
+  return Object.fromEntries(
+    result.pairs.map((pair) => [
+      pair.name,
+      `${pair.gitlab.path_with_namespace} (${pair.matchedBy})`,
+    ]),
+  );
+}
+
+test("an override wins over path and name matches", () => {
+  const result = matchProjects(
+    [{ name: "website" }],
+    [project("acme/work/website", 1), project("acme/work/old/site", 2)],
+    { groupPath: GROUP, overrides: { "acme/work/old/site": "website" } },
+  );
+  assert.deepStrictEqual(matchedPaths(result), {
+    website: "acme/work/old/site (override)",
+  });
+  assert.deepStrictEqual(
+    result.unmatchedGitlab.map((p) => p.path_with_namespace),
+    ["acme/work/website"],
+  );
+});
+
+test("an override with no GitHub repo keeps a project out of matching", () => {
+  const result = matchProjects(
+    [{ name: "website" }],
+    [project("acme/work/website", 1)],
+    { groupPath: GROUP, overrides: { "acme/work/website": "" } },
+  );
+  assert.deepStrictEqual(result.pairs, []);
+  assert.deepStrictEqual(
+    result.missingInGitLab.map((repo) => repo.name),
+    ["website"],
+  );
+});
+
+test("the flattened path wins over a name shared with a subgroup", () => {
+  const result = matchProjects(
+    [{ name: "clients-website" }, { name: "website" }, { name: "blog" }],
+    [
+      project("acme/work/clients/website", 1),
+      project("acme/work/website", 2),
+      project("acme/work/clients/blog", 3),
+    ],
+    { groupPath: GROUP },
+  );
+  assert.deepStrictEqual(matchedPaths(result), {
+    "clients-website": "acme/work/clients/website (path)",
+    website: "acme/work/website (path)",
+    blog: "acme/work/clients/blog (name)",
+  });
+  assert.deepStrictEqual(result.ambiguous, []);
+});
+
+test("a name shared by several projects is ambiguous, not guessed", () => {
+  const result = matchProjects(
+    [{ name: "api" }],
+    [project("acme/work/a/api", 1), project("acme/work/b/api", 2)],
+    { groupPath: GROUP },
+  );
+  assert.deepStrictEqual(result.pairs, []);
+  assert.deepStrictEqual(result.missingInGitLab, []);
+  assert.strictEqual(result.ambiguous.length, 1);
+  assert.strictEqual(result.ambiguous[0].name, "api");
+  assert.deepStrictEqual(
+    result.ambiguous[0].candidates.map((p) => p.path_with_namespace),
+    ["acme/work/a/api", "acme/work/b/api"],
+  );
+  assert.deepStrictEqual(result.unmatchedGitlab, []);
+});
+
+test("a project claimed by a path match is no longer a name candidate", () => {
+  const result = matchProjects(
+    [{ name: "b-api" }, { name: "api" }],
+    [project("acme/work/a/api", 1), project("acme/work/b/api", 2)],
+    { groupPath: GROUP },
+  );
+  assert.deepStrictEqual(matchedPaths(result), {
+    "b-api": "acme/work/b/api (path)",
+    api: "acme/work/a/api (name)",
+  });
+  assert.deepStrictEqual(result.ambiguous, []);
+});
+
+test("each GitLab project is matched at most once", () => {
+  const result = matchProjects(
+    [{ name: "Website" }, { name: "website" }],
+    [project("acme/work/website", 1)],
+    { groupPath: GROUP },
+  );
+  assert.strictEqual(result.pairs.length, 1);
+  assert.strictEqual(result.missingInGitLab.length, 1);
+});
+
+test("overrides naming unknown repos or projects are reported", () => {
+  const result = matchProjects(
+    [{ name: "website" }],
+    [project("acme/work/website", 1)],
+    {
+      groupPath: GROUP,
+      overrides: { "acme/work/gone": "website", 99: "missing" },
+    },
+  );
+  assert.deepStrictEqual(
+    result.invalidOverrides.map((entry) => [entry.path, entry.problem]),
+    [
+      ["#99", "gitlab_not_found"],
+      ["#99", "github_not_found"],
+      ["acme/work/gone", "gitlab_not_found"],
+    ],
+  );
+});
+
+test("ID overrides against a report without ids say so", () => {
+  const result = matchProjects(
+    [{ name: "website" }],
+    [{ name: "site", path_with_namespace: "acme/work/site" }],
+    { groupPath: GROUP, overrides: { 7: "website" } },
+  );
+  assert.deepStrictEqual(
+    result.invalidOverrides.map((entry) => entry.problem),
+    ["gitlab_id_column_missing"],
+  );
+});
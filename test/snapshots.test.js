@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { diffSnapshots } = require("../lib/snapshots");
+const { ConfigError } = require("../lib/errors");
+
+function gitlab(items) {
+  return { source: "gitlab", items };
+}
+
+function project(id, overrides = {}) {
+  return {
+    id,
+    path_with_namespace: `g/p${id}`,
+    archived: "false",
+    visibility: "private",
+    last_repository_updated_at: "2024-05-01T00:00:00Z",
+    ...overrides,
+  };
+}
+
+test("diffSnapshots reports nothing for identical snapshots", () => {
+  const snapshot = gitlab([project(1), project(2)]);
+  const { rows, counts } = diffSnapshots(snapshot, snapshot);
+  assert.deepStrictEqual(rows, []);
+  assert.ok(Object.values(counts).every((count) => count === 0));
+});
+
+test("diffSnapshots lists each kind of change, keyed by ID", () => {
+  const before = gitlab([
+    project(1),
+    project(2),
+    project(3, { archived: "true" }),
+    project(4),
+    project(5),
+  ]);
+  const after = gitlab([
+    project(1, { path_with_namespace: "g/renamed", archived: true }),
+    project(3),
+    project(4, { visibility: "PUBLIC" }),
+    project(5, { last_repository_updated_at: "2024-05-02T00:00:00Z" }),
+    project(6),
+  ]);
+  const { source, rows, counts } = diffSnapshots(before, after);
+  assert.strictEqual(source, "gitlab");
+  assert.deepStrictEqual(
+    rows.map((row) => [row.change, row.id, row.name, row.before, row.after]),
+    [
+      ["added", 6, "g/p6", "", ""],
+      ["removed", 2, "g/p2", "", ""],
+      ["renamed", 1, "g/renamed", "g/p1", "g/renamed"],
+      ["archived", 1, "g/renamed", "", ""],
+      ["unarchived", 3, "g/p3", "", ""],
+      ["visibility_changed", 4, "g/p4", "private", "PUBLIC"],
+      ["pushed", 5, "g/p5", "2024-05-01T00:00:00Z", "2024-05-02T00:00:00Z"],
+    ],
+  );
+  assert.deepStrictEqual(counts, {
+    added: 1,
+    removed: 1,
+    renamed: 1,
+    archived: 1,
+    unarchived: 1,
+    visibility_changed: 1,
+    pushed: 1,
+  });
+});
+
+test("diffSnapshots falls back to last_activity_at", () => {
+  const before = gitlab([
+    project(1, { last_repository_updated_at: "" }),
+    project(2, { last_repository_updated_at: "2024-05-03T00:00:00Z" }),
+  ]);
+  const after = gitlab([
+    project(1, {
+      last_repository_updated_at: "",
+      last_activity_at: "2024-05-02T00:00:00Z",
+    }),
+    project(2),
+  ]);
+  const { rows } = diffSnapshots(before, after);
+  assert.deepStrictEqual(
+    rows.map((row) => [row.change, row.id]),
+    [["pushed", 1]],
+  );
+});
+
+test("diffSnapshots compares GitHub snapshots by pushed_at", () => {
+  const repo = {
+    id: "R_1",
+    name_with_owner: "o/site",
+    archived: "false",
+    visibility: "PRIVATE",
+    pushed_at: "2024-05-01T00:00:00Z",
+  };
+  const { rows } = diffSnapshots(
+    { source: "github", items: [repo] },
+    {
+      source: "github",
+      items: [{ ...repo, pushed_at: "2024-05-02T00:00:00Z" }],
+    },
+  );
+  assert.deepStrictEqual(
+    rows.map((row) => [row.change, row.name]),
+    [["pushed", "o/site"]],
+  );
+});
+
+test("diffSnapshots refuses to compare different sources", () => {
+  assert.throws(
+    () => diffSnapshots(gitlab([]), { source: "github", items: [] }),
+    ConfigError,
+  );
+});
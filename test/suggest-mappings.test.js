@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  normalizeName,
+  nameSimilarity,
+  suggestMappings,
+} = require("../lib/suggest-mappings");
+
+test("normalizeName drops years, versions and rename markers", () => {
+  assert.strictEqual(normalizeName("Website-2019"), "website");
+  assert.strictEqual(normalizeName("old_api.v2"), "api");
+  assert.strictEqual(normalizeName("legacy-shop-copy"), "shop");
+});
+
+test("nameSimilarity scores normalised names", () => {
+  assert.strictEqual(nameSimilarity("website-2019", "Website"), 1);
+  assert.strictEqual(nameSimilarity("", "website"), 0);
+  const close = nameSimilarity("payments", "payment");
+  assert.ok(close > 0.8 && close < 1, String(close));
+  assert.ok(nameSimilarity("website", "invoicing") < 0.5);
+});
+
+test("suggestMappings pairs unmatched projects and repos", async () => {
+  const { suggestions, counts } = await suggestMappings(
+    [
+      {
+        name: "website",
+        name_with_owner: "o/website",
+        created_at: "2019-03-01T10:00:00Z",
+      },
+      {
+        name: "site-new",
+        name_with_owner: "o/site-new",
+        created_at: "2023-01-01T00:00:00Z",
+      },
+      { name: "payment", name_with_owner: "o/payment" },
+      { name: "invoicing", name_with_owner: "o/invoicing" },
+    ],
+    [
+      {
+        id: 1,
+        name: "website-2019",
+        path_with_namespace: "g/website-2019",
+        created_at: "2019-03-01T00:00:00Z",
+      },
+      { id: 2, name: "payments", path_with_namespace: "g/payments" },
+    ],
+    { groupPath: "g" },
+  );
+  assert.deepStrictEqual(
+    suggestions.map((s) => [s.gitlab_id, s.github_name, s.confidence]),
+    [
+      [1, "website", "high"],
+      [2, "payment", "medium"],
+    ],
+  );
+  assert.strictEqual(suggestions[0].created_match, true);
+  assert.deepStrictEqual(counts, {
+    unmatched_gitlab: 2,
+    unmatched_github: 4,
+    suggested: 2,
+    high: 1,
+    medium: 1,
+    low: 0,
+  });
+});
+
+test("suggestMappings skips matched and overridden ones", async () => {
+  const { suggestions } = await suggestMappings(
+    [{ name: "website" }, { name: "web-site" }],
+    [
+      { id: 1, name: "website", path_with_namespace: "g/website" },
+      { id: 2, name: "web", path_with_namespace: "g/web" },
+    ],
+    { groupPath: "g", overrides: { "g/web": "" } },
+  );
+  assert.deepStrictEqual(suggestions, []);
+
+  const { suggestions: byRepo } = await suggestMappings(
+    [{ name: "web-site" }],
+    [{ id: 2, name: "web", path_with_namespace: "g/web" }],
+    { groupPath: "g", overrides: { "web-site": "" } },
+  );
+  assert.deepStrictEqual(byRepo, []);
+});
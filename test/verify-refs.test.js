@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { diffRefs } = require("../lib/verify-refs");
+
+test("diffRefs counts matching refs without reporting them", () => {
+  const refs = { main: "a1", develop: "b2" };
+  assert.deepStrictEqual(diffRefs("branch", refs, { ...refs }), {
+    diffs: [],
+    counters: {
+      matching: 2,
+      missingOnGithub: 0,
+      shaMismatch: 0,
+      onlyOnGithub: 0,
+    },
+  });
+});
+
+test("diffRefs reports missing, mismatched and GitHub-only refs", () => {
+  const { diffs, counters } = diffRefs(
+    "tag",
+    { "v1.0": "a1", "v1.1": "b2", "v2.0": "c3" },
+    { "v1.0": "a1", "v1.1": "ff", "v3.0": "d4" },
+  );
+  assert.deepStrictEqual(counters, {
+    matching: 1,
+    missingOnGithub: 1,
+    shaMismatch: 1,
+    onlyOnGithub: 1,
+  });
+  assert.deepStrictEqual(diffs, [
+    {
+      refType: "tag",
+      refName: "v1.1",
+      gitlabSha: "b2",
+      githubSha: "ff",
+      status: "sha_mismatch",
+    },
+    {
+      refType: "tag",
+      refName: "v2.0",
+      gitlabSha: "c3",
+      githubSha: "",
+      status: "missing_on_github",
+    },
+    {
+      refType: "tag",
+      refName: "v3.0",
+      gitlabSha: "",
+      githubSha: "d4",
+      status: "only_on_github",
+    },
+  ]);
+});
+
+test("diffRefs does not treat inherited property names as refs", () => {
+  const { diffs } = diffRefs("branch", { constructor: "a1" }, {});
+  assert.deepStrictEqual(
+    diffs.map((diff) => diff.status),
+    ["missing_on_github"],
+  );
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  checkVisibility,
+  exposureSeverity,
+  normalizeVisibility,
+} = require("../lib/visibility");
+
+test("exposureSeverity grades each widening of visibility", () => {
+  assert.strictEqual(exposureSeverity("private", "public"), "critical");
+  assert.strictEqual(exposureSeverity("internal", "public"), "high");
+  assert.strictEqual(exposureSeverity("private", "internal"), "medium");
+});
+
+test("exposureSeverity ignores equal or more restrictive visibility", () => {
+  for (const gitlab of ["private", "internal", "public"]) {
+    assert.strictEqual(exposureSeverity(gitlab, gitlab), null);
+  }
+  assert.strictEqual(exposureSeverity("public", "private"), null);
+  assert.strictEqual(exposureSeverity("public", "internal"), null);
+  assert.strictEqual(exposureSeverity("internal", "private"), null);
+});
+
+test("normalizeVisibility accepts either side's spelling", () => {
+  assert.strictEqual(normalizeVisibility("PUBLIC"), "public");
+  assert.strictEqual(normalizeVisibility(" internal "), "internal");
+  assert.strictEqual(normalizeVisibility("secret"), "");
+  assert.strictEqual(normalizeVisibility(undefined), "");
+});
+
+test("ambiguous repos are checked against the most private candidate", () => {
+  const { findings, counts } = checkVisibility(
+    [{ name: "api", visibility: "PUBLIC" }],
+    [
+      { name: "api", path_with_namespace: "g/a/api", visibility: "internal" },
+      { name: "api", path_with_namespace: "g/b/api", visibility: "private" },
+    ],
+    { groupPath: "g" },
+  );
+  assert.strictEqual(counts.ambiguous, 1);
+  assert.deepStrictEqual(
+    findings.map((finding) => [
+      finding.severity,
+      finding.gitlab_path_with_namespace,
+    ]),
+    [["critical", "g/b/api"]],
+  );
+});
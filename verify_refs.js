@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+const { loadEnv } = require("./lib/env");
+const { resolveConfig } = require("./lib/config");
+const { writeCsv } = require("./lib/csv");
+const { readGithubReport, readGitlabReport } = require("./lib/reports");
+const { matchOptionsFromConfig, warnMatchIssues } = require("./lib/matching");
+const { extractFormat, loggerFor, writeOutput } = require("./lib/output");
+const { VERIFY_REFS_HEADERS, verifyRefs } = require("./lib/verify-refs");
+const { extractFailOn, applyFailOn } = require("./lib/fail-on");
+
+const FAIL_ON_CONDITIONS = [
+  "incomplete",
+  "missing_on_github",
+  "sha_mismatch",
+  "github_only_refs",
+  "refs_error",
+];
+
+async function main() {
+  loadEnv();
+  const config = resolveConfig();
+  const { format, args } = extractFormat(process.argv.slice(2));
+  const { failOn } = extractFailOn(args, FAIL_ON_CONDITIONS);
+  const logger = loggerFor(format);
+  const githubPath = config.githubReportPath;
+  const gitlabPath = config.gitlabReportPath;
+  const outputPath = config.refsReportPath;
+
+  if (!config.gitlabToken) {
+    console.error("GITLAB_TOKEN missing. Set it before running this script.");
+    process.exit(1);
+  }
+
+  logger.log(`Loading GitHub report from ${githubPath}`);
+  const githubRecords = readGithubReport(githubPath);
+  logger.log(`Loaded ${githubRecords.length} GitHub repos.`);
+
+  logger.log(`Loading GitLab report from ${gitlabPath}`);
+  const gitlabRecords = readGitlabReport(gitlabPath);
+  logger.log(`Loaded ${gitlabRecords.length} GitLab projects.`);
+
+  const verification = await verifyRefs(githubRecords, gitlabRecords, {
+    gitlabUrl: config.gitlabUrl,
+    gitlabToken: config.gitlabToken,
+    githubToken: config.githubToken,
+    concurrency: config.refsConcurrency,
+    logger,
+    ...matchOptionsFromConfig(config),
+  });
+  const { summaries, rows } = verification;
+  warnMatchIssues(verification, logger);
+
+  writeCsv(outputPath, VERIFY_REFS_HEADERS, rows);
+  logger.log(`\nWrote ref verification report to ${outputPath}`);
+
+  const incomplete = summaries.filter(
+    (summary) =>
+      summary.error || summary.missingOnGithub > 0 || summary.shaMismatch > 0,
+  );
+  const onlyOnGithub = summaries.filter(
+    (summary) => !summary.error && summary.onlyOnGithub > 0,
+  );
+  const countWhere = (predicate) => summaries.filter(predicate).length;
+  applyFailOn(
+    failOn,
+    {
+      incomplete: incomplete.length,
+      missing_on_github: countWhere((summary) => summary.missingOnGithub > 0),
+      sha_mismatch: countWhere((summary) => summary.shaMismatch > 0),
+      github_only_refs: onlyOnGithub.length,
+      refs_error: countWhere((summary) => summary.error),
+    },
+    logger,
+  );
+
+  if (format) {
+    writeOutput(format, {
+      headers: VERIFY_REFS_HEADERS,
+      rows,
+      summary: {
+        repos_verified: summaries.length,
+        complete: summaries.length - incomplete.length,
+        incomplete: incomplete.length,
+        with_github_only_refs: onlyOnGithub.length,
+      },
+    });
+    return;
+  }
+
+  console.log("\nRef verification summary:");
+  console.log(`  Repos verified: ${summaries.length}`);
+  console.log(`  Repos with every GitLab ref on GitHub: ${summaries.length - incomplete.length}`);
+  console.log(`  Repos with missing or mismatched refs: ${incomplete.length}`);
+  console.log(`  Repos with GitHub-only refs: ${onlyOnGithub.length}`);
+
+  if (incomplete.length > 0) {
+    console.log("\nRepos with refs left behind on GitLab:");
+    for (const summary of incomplete) {
+      if (summary.error) {
+        console.log(`- ${summary.name}: error ${summary.error}`);
+        continue;
+      }
+      console.log(
+        `- ${summary.name}: missing on GitHub=${summary.missingOnGithub}, SHA mismatch=${summary.shaMismatch}, only on GitHub=${summary.onlyOnGithub}`,
+      );
+    }
+  } else {
+    console.log("\nEvery GitLab branch and tag exists on GitHub at the same SHA.");
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});